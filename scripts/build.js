@@ -0,0 +1,104 @@
+/**
+ * Builds dist/storylinepanzoom.js (UMD: classic <script>, CommonJS or AMD) and
+ * dist/storylinepanzoom.mjs (ES module) from src/storylinepanzoom.js, with Panzoom embedded,
+ * plus dist/storylinepanzoom.core.js (UMD) that uses a global Panzoom or loads it on demand.
+ * No dependencies: `node scripts/build.js` or `npm run build`.
+ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const dist = path.join(root, 'dist');
+
+function read(file) {
+    return fs.readFileSync(path.join(root, file), 'utf8').replace(/\r\n/g, '\n').trimEnd();
+}
+
+function indent(code, depth = 1) {
+    const pad = '    '.repeat(depth);
+    return code.split('\n').map(line => line ? pad + line : line).join('\n');
+}
+
+const { version } = JSON.parse(read('package.json'));
+const panzoom = read('panzoom.js');
+const panzoomVersion = (panzoom.match(/panzoom v?(\d+\.\d+\.\d+)/i) || [])[1] || 'unknown';
+const source = read('src/storylinepanzoom.js');
+
+if (!source.includes("'__VERSION__'")) {
+    throw new Error('src/storylinepanzoom.js has no __VERSION__ placeholder');
+}
+
+const banner = `/*! StorylinePanzoom ${version} | embeds Panzoom ${panzoomVersion} (MIT) */`;
+const coreBanner = `/*! StorylinePanzoom ${version} | requires Panzoom ${panzoomVersion} */`;
+
+// Panzoom's UMD header takes the CommonJS branch against the local module object, so the
+// embedded copy neither needs nor overwrites a global Panzoom
+const embeddedPanzoom = `
+    const Panzoom = (function () {
+        const module = { exports: {} };
+        const exports = module.exports;
+${indent(panzoom, 2)}
+        return module.exports;
+    })();
+`;
+
+function createFactory(embed) {
+    return `function () {${embed ? embeddedPanzoom : ''}
+${indent(source.replace("'__VERSION__'", JSON.stringify(version)))}
+
+    return StorylinePanzoomApi;
+}`;
+}
+
+// Loaded twice (two triggers, or the script and a bundle): keep the first copy so its registry
+// of zoomed objects, listeners and watchers stays the one in use
+const reuse = `function reuse(existing) {
+    if (existing.version !== '${version}') {
+        console.warn(\`StorylinePanzoom: ${version} loaded after \${existing.version}, keeping \${existing.version}\`);
+    }
+    return existing;
+}`;
+
+const isLoaded = "existing && typeof existing.version === 'string'";
+
+function createUmd(header, factory) {
+    return `${header}
+(function (root, factory) {
+    ${indent(reuse).trim()}
+
+    const existing = root && root.StorylinePanzoom;
+    const api = ${isLoaded} ? reuse(existing) : factory();
+
+    if (typeof module === 'object' && module.exports) {
+        module.exports = api;
+    } else if (typeof define === 'function' && define.amd) {
+        define([], () => api);
+    }
+    // Storyline triggers reach the library through the global
+    if (root) {
+        root.StorylinePanzoom = api;
+    }
+})(typeof self !== 'undefined' ? self : this, ${factory});
+`;
+}
+
+const esm = `${banner}
+${reuse}
+
+const root = typeof self !== 'undefined' ? self : globalThis;
+const existing = root.StorylinePanzoom;
+const StorylinePanzoom = ${isLoaded} ? reuse(existing) : (${createFactory(true)})();
+
+// Storyline triggers reach the library through the global
+root.StorylinePanzoom = StorylinePanzoom;
+
+export default StorylinePanzoom;
+`;
+
+fs.mkdirSync(dist, { recursive: true });
+fs.writeFileSync(path.join(dist, 'storylinepanzoom.js'), createUmd(banner, createFactory(true)));
+fs.writeFileSync(path.join(dist, 'storylinepanzoom.core.js'), createUmd(coreBanner, createFactory(false)));
+fs.writeFileSync(path.join(dist, 'storylinepanzoom.mjs'), esm);
+console.log(`Built StorylinePanzoom ${version} into ${path.relative(process.cwd(), dist) || '.'}`);
@@ -0,0 +1,2890 @@
+/**
+ * StorylinePanzoom - A custom zoom library for Articulate Storyline objects
+ * Optimized for Storyline's DOM structure
+ *
+ * Build with `npm run build`: dist/ gets a UMD and an ES module bundle with Panzoom embedded.
+ */
+const StorylinePanzoom = (function() {
+    // Replaced with the package.json version by the build
+    const version = '__VERSION__';
+
+    const instances = new Map();
+
+    // Configurations to re-apply whenever a watched object reappears on a slide
+    const watchedConfigs = new Map();
+
+    // Event handlers by acc text, kept apart from instances so they survive slide changes
+    const listeners = new Map();
+    const eventNames = ['zoomstart', 'zoomchange', 'zoomend', 'pan', 'reset', 'hotspot'];
+    const optionHandlers = { zoomchange: 'onZoom', pan: 'onPan', reset: 'onReset', hotspot: 'onHotspot' };
+    let slideObserver = null;
+    // Watched objects that are on the slide but can't be zoomed yet (e.g. mid entrance animation)
+    let pendingObserver = null;
+    // Watched objects whose transform was already reported as one that can't be zoomed
+    const reportedTransforms = new Set();
+    let syncPending = false;
+    let lightbox = null;
+    
+    const defaultOptions = {
+        maxScale: 5,
+        minScale: 1,
+        step: 0.3,
+        duration: 200,
+        easing: 'ease-in-out',
+        panOnlyWhenZoomed: true,
+        mode: 'overlay',
+        contain: null,
+        elastic: true,
+        bindVariables: null,
+        variablePollInterval: 250,
+        onZoom: null,
+        onPan: null,
+        onReset: null,
+        onHotspot: null,
+        hotspots: [],
+        hotspotScale: 2.5,
+        tourDwell: 3000,
+        tourLoop: true,
+        autoplay: false,
+        controls: false,
+        lightbox: false,
+        loupe: null,
+        minimap: false,
+        gestures: {},
+        inertia: false,
+        persist: false,
+        analytics: null,
+        keyboard: true,
+        announce: true,
+        watch: false
+    };
+
+    const controlPositions = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+    const modes = ['overlay', 'clip', 'loupe'];
+    // Both keep the picture and its frame overlapping fully (see getPanBounds); 'inside' also
+    // lets the picture shrink inside the frame when minScale is below 1, 'outside' never does
+    const containModes = ['inside', 'outside'];
+
+    // What each gesture does unless an object's gestures option says otherwise
+    const defaultGestures = {
+        wheel: true,
+        pinch: true,
+        pan: true,
+        doubleTap: true,
+        doubleClick: true,
+        longPress: false
+    };
+    const defaultDoubleTap = { scale: 2.5, mode: 'toggle', delay: 300 };
+    const defaultLongPress = { delay: 600, action: 'reset' };
+    // A gesture given as a string (alt text tags only have strings) names its mode or action
+    const doubleTapModes = ['toggle', 'step'];
+    const longPressActions = ['reset', 'zoom-in', 'zoom-out'];
+    // How far a finger may wander and still count as a tap or a press
+    const tapSlop = 10;
+    // Wheel deltas come in pixels, lines or pages; one mouse notch is about 100 pixels
+    const wheelLine = 16;
+    const wheelPage = 800;
+    const wheelNotch = 100;
+    // Trackpad pinches arrive as Ctrl+wheel with small deltas, so they get a higher gain
+    const pinchWheelGain = 4;
+    const defaultInertia = { friction: 0.95, minSpeed: 0.02 };
+    // Saved views of all persisted objects live under one storage key (or in one variable)
+    const persistKey = 'storyline-panzoom';
+    const persistStorages = ['session', 'local', 'variable'];
+    // View changes that were not made by the learner don't count as gestures
+    const automaticSources = ['api', 'restore', 'variable', 'hotspot'];
+    let reportOnPageHide = false;
+
+    // Declarative setup without JavaScript: "Lion [zoom max=4 double-tap=3]" as an object's
+    // alt text, or a hidden text box holding "[zoom-config]" followed by JSON
+    const zoomTag = /\s*\[zoom(?:\s+([^\]]*))?\]\s*$/i;
+    const configMarker = '[zoom-config]';
+    const tagAliases = { max: 'maxScale', min: 'minScale' };
+    // "loupe-size=200" sets loupe.size; a bare "controls=top-right" sets the listed setting
+    const tagGroups = { controls: 'position', minimap: 'position', loupe: 'shape' };
+    let declaredDefaults = null;
+    // Parsed [zoom-config] boxes by their text, so each is read (and reported) once
+    const configBlocks = new Map();
+    // Set when slide content arrives; only then can there be new tags or config boxes
+    let contentAdded = false;
+    const loupeShapes = ['circle', 'square', 'rounded'];
+
+    // Shared look of everything the library draws; themes override the custom properties
+    const styles = `
+        .storyline-panzoom-overlay { position: absolute; left: 0; top: 0; pointer-events: none; }
+        .storyline-panzoom-controls {
+            position: absolute; display: flex; align-items: center; gap: 4px; padding: 4px;
+            pointer-events: auto; font: 13px/1 sans-serif;
+            background: var(--storyline-panzoom-background, rgba(0, 0, 0, 0.6));
+            color: var(--storyline-panzoom-color, #fff);
+            border-radius: var(--storyline-panzoom-radius, 6px);
+        }
+        .storyline-panzoom-controls--top-left, .storyline-panzoom-minimap--top-left { top: 8px; left: 8px; }
+        .storyline-panzoom-controls--top-right, .storyline-panzoom-minimap--top-right { top: 8px; right: 8px; }
+        .storyline-panzoom-controls--bottom-left, .storyline-panzoom-minimap--bottom-left { bottom: 8px; left: 8px; }
+        .storyline-panzoom-controls--bottom-right, .storyline-panzoom-minimap--bottom-right { bottom: 8px; right: 8px; }
+        .storyline-panzoom-controls button {
+            width: var(--storyline-panzoom-size, 28px); height: var(--storyline-panzoom-size, 28px);
+            padding: 0; border: 0; border-radius: inherit; cursor: pointer;
+            background: transparent; color: inherit; font: inherit; font-size: 16px;
+        }
+        .storyline-panzoom-controls button:hover, .storyline-panzoom-controls button:focus-visible {
+            background: var(--storyline-panzoom-accent, rgba(255, 255, 255, 0.2));
+        }
+        .storyline-panzoom-controls button:disabled { opacity: 0.4; cursor: default; }
+        .storyline-panzoom-readout { min-width: 3.5em; text-align: center; }
+        .storyline-panzoom-minimap {
+            position: absolute; overflow: hidden; pointer-events: auto; cursor: pointer; touch-action: none;
+            background: var(--storyline-panzoom-background, rgba(0, 0, 0, 0.6)) no-repeat 0 0 / 100% 100%;
+            outline: 2px solid var(--storyline-panzoom-background, rgba(0, 0, 0, 0.6));
+            border-radius: var(--storyline-panzoom-radius, 6px);
+        }
+        .storyline-panzoom-minimap--hidden { display: none; }
+        .storyline-panzoom-minimap-viewport {
+            position: absolute; box-sizing: border-box; cursor: move;
+            border: 2px solid var(--storyline-panzoom-accent, #f2a900);
+            background: rgba(255, 255, 255, 0.15);
+        }
+        .storyline-panzoom-focusable:focus-visible {
+            outline: 3px solid var(--storyline-panzoom-accent, #1a73e8); outline-offset: 2px;
+        }
+        .storyline-panzoom-loupe {
+            position: absolute; display: none; box-sizing: border-box; pointer-events: none;
+            background-color: #fff; background-repeat: no-repeat;
+            border: 2px solid var(--storyline-panzoom-accent, #fff);
+            box-shadow: 0 4px 16px rgba(0, 0, 0, 0.4);
+        }
+        .storyline-panzoom-loupe--circle { border-radius: 50%; }
+        .storyline-panzoom-loupe--rounded { border-radius: var(--storyline-panzoom-radius, 6px); }
+        .storyline-panzoom-lightbox {
+            position: fixed; left: 0; top: 0; right: 0; bottom: 0; z-index: 2147483000;
+            background: var(--storyline-panzoom-backdrop, rgba(0, 0, 0, 0.85));
+        }
+        .storyline-panzoom-lightbox-stage { position: absolute; overflow: hidden; touch-action: none; }
+        .storyline-panzoom-lightbox-stage > img { display: block; width: 100%; height: 100%; }
+        .storyline-panzoom-lightbox-close {
+            position: absolute; top: 12px; right: 12px; width: 40px; height: 40px;
+            padding: 0; border: 0; cursor: pointer; font: 24px/1 sans-serif;
+            background: var(--storyline-panzoom-background, rgba(0, 0, 0, 0.6));
+            color: var(--storyline-panzoom-color, #fff);
+            border-radius: var(--storyline-panzoom-radius, 6px);
+        }
+        .storyline-panzoom-lightbox-close:hover, .storyline-panzoom-lightbox-close:focus-visible {
+            background: var(--storyline-panzoom-accent, rgba(255, 255, 255, 0.2));
+        }
+        .storyline-panzoom-sr-only {
+            position: absolute; width: 1px; height: 1px; margin: -1px; padding: 0; border: 0;
+            overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap;
+        }
+    `;
+
+    const keyboardHelp = 'Press plus or minus to zoom, arrow keys to move the picture, 0 to reset.';
+
+    // Keys for objects passed as elements that carry neither acc text nor a model id
+    const generatedKeys = new WeakMap();
+    let keyCounter = 0;
+
+    // Attribute values are compared directly instead of being put into a selector, so quotes,
+    // brackets or backslashes in alt text cannot break the lookup
+    function findByAttribute(selector, name, value) {
+        return Array.from(document.querySelectorAll(selector)).filter(element => element.getAttribute(name) === value);
+    }
+
+    function getVectorShape(element) {
+        return element.closest('.slide-object-vectorshape') || element.querySelector('.slide-object-vectorshape');
+    }
+
+    function isGroup(element) {
+        // State groups wrap the states of a single object and are not zoomed as a unit
+        if (element.matches('.slide-object-stategroup')) return false;
+        return element.matches('.slide-object-group') || element.querySelectorAll('.slide-object').length > 1;
+    }
+
+    // Work out what kind of Storyline object an element belongs to, which element carries
+    // the object's position on the slide and which one holds what is zoomed in clip mode
+    function detectObject(element) {
+        const root = element.matches('[data-acc-text], [data-model-id]') ? element : (element.closest('.slide-object') || element);
+
+        if (isGroup(root)) {
+            // The group's children are moved into a content layer at init, so overlaid labels
+            // and hotspots stay aligned with the picture
+            return { type: 'group', slideObject: root, content: null, image: root.querySelector('svg image, img:not(.acc-image)') };
+        }
+
+        const vectorShape = getVectorShape(root);
+        const maskable = vectorShape && vectorShape.querySelector('.slideobject-maskable');
+        if (maskable) {
+            return { type: 'vectorshape', slideObject: vectorShape, content: maskable, image: vectorShape.querySelector('svg image') };
+        }
+
+        const video = root.querySelector('video');
+        if (video) {
+            return { type: 'video', slideObject: root, content: video, image: null };
+        }
+
+        const frame = root.querySelector('iframe');
+        if (frame) {
+            return { type: 'webobject', slideObject: root, content: frame, image: null };
+        }
+
+        const picture = root.querySelector('img:not(.acc-image)');
+        if (picture) {
+            return { type: 'picture', slideObject: root, content: picture, image: picture };
+        }
+        return null;
+    }
+
+    function findByAccText(accText) {
+        // State groups repeat the acc text on their wrapper; prefer the match holding the shape
+        const matches = findByAttribute('[data-acc-text]', 'data-acc-text', accText);
+        return matches.find(element => detectObject(element)) || matches[0] || null;
+    }
+
+    function findByModelId(id) {
+        return findByAttribute('[data-model-id]', 'data-model-id', id)[0] || null;
+    }
+
+    function findBySelector(selector) {
+        try {
+            return document.querySelector(selector);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Targets: acc text, Storyline object id (data-model-id), CSS selector, DOM element, or an
+    // object naming one of them: { accText }, { id }, { selector }, { element }
+    // An element left behind by a previous slide counts as not found
+    function resolveElement(target) {
+        if (target instanceof Element) return target.isConnected ? target : null;
+
+        if (target && typeof target === 'object') {
+            if (target.element) return target.element.isConnected ? target.element : null;
+            if (target.accText !== undefined) return findByAccText(target.accText);
+            if (target.id) return findByModelId(target.id);
+            if (target.selector) return findBySelector(target.selector);
+            return null;
+        }
+        if (typeof target !== 'string') return null;
+
+        // Plain strings are acc text first, then an object id, then a selector
+        return findByAccText(target) ||
+            findByModelId(target) ||
+            (/^[#.[]/.test(target) ? findBySelector(target) : null);
+    }
+
+    function describeTarget(target) {
+        if (typeof target === 'string') return `"${target}"`;
+        if (target instanceof Element) return `element <${target.tagName.toLowerCase()}${target.className ? '.' + String(target.className).split(' ').join('.') : ''}>`;
+        return JSON.stringify(target);
+    }
+
+    // The name an instance is registered (and its events are keyed) under
+    function getKey(target) {
+        if (typeof target === 'string') return target;
+
+        const element = target instanceof Element ? target : target && target.element;
+        if (element) {
+            const root = element.closest('[data-acc-text], [data-model-id]') || element;
+            const key = root.getAttribute('data-acc-text') || root.getAttribute('data-model-id');
+            if (key) return key;
+            if (!generatedKeys.has(root)) {
+                generatedKeys.set(root, `storyline-panzoom-${++keyCounter}`);
+            }
+            return generatedKeys.get(root);
+        }
+        return target ? String(target.accText || target.id || target.selector || '') : '';
+    }
+
+    // Watched configurations outlive the slide, so an element is stored as the acc text or
+    // object id it can be found by again on the next visit (the same one getKey uses)
+    function getWatchTarget(target) {
+        const element = target instanceof Element ? target : target && target.element;
+        const root = element && element.closest('[data-acc-text], [data-model-id]');
+        if (!root) return target;
+
+        const accText = root.getAttribute('data-acc-text');
+        if (accText) return { accText };
+        const id = root.getAttribute('data-model-id');
+        return id ? { id } : target;
+    }
+
+    function findStorylineObject(target, quiet = false) {
+        const fail = (reason) => {
+            if (!quiet) {
+                console.error(`StorylinePanzoom: ${reason}`);
+            }
+            return null;
+        };
+
+        const root = resolveElement(target);
+        if (!root) return fail(`Could not find an object for ${describeTarget(target)}`);
+
+        const detected = detectObject(root);
+        if (!detected) {
+            return fail(`${describeTarget(target)} is not a shape, picture, group, video or web object`);
+        }
+
+        // The accessibility image is optional: objects with empty alt text have none
+        const accText = detected.slideObject.getAttribute('data-acc-text') || root.getAttribute('data-acc-text') || '';
+        const accImage = accText ? findByAttribute('img.acc-image', 'aria-label', accText)[0] || null : null;
+
+        return {
+            root,
+            ...detected,
+            accImage,
+            accText
+        };
+    }
+
+    function lookupInstance(target) {
+        if (typeof target === 'string' && instances.has(target)) {
+            return instances.get(target);
+        }
+
+        const element = resolveElement(target);
+        const detected = element && detectObject(element);
+        if (!detected) return undefined;
+
+        return Array.from(instances.values()).find(instance => instance.elements.slideObject === detected.slideObject);
+    }
+
+    // translate3d(x, y, 0) and flat matrix3d() values are 3D to DOMMatrix (is2D is false) but
+    // compose like their 2D equivalents; only a real z component can't be zoomed
+    function isFlat(matrix) {
+        if (matrix.is2D) return true;
+
+        const { m13, m14, m23, m24, m31, m32, m33, m34, m43 } = matrix;
+        return [m13, m14, m23, m24, m31, m32, m34, m43].every(value => value === 0) && m33 === 1;
+    }
+
+    // Read an object's transform as a 2D matrix. Storyline normally writes
+    // translate() rotate() scale(), but flipped, skewed or animated objects can carry any
+    // transform list, so the browser does the parsing; without an inline value the computed
+    // matrix is used. Returns null, saying why unless quiet, when zoom can't be composed on it.
+    // A watched object is retried whenever its transform changes: it stays quiet while it
+    // looks mid-animation, anything else is reported once
+    function parseTransform(element, value, key, { quiet = false, watch = false } = {}) {
+        const fail = (reason, animating = false) => {
+            if (quiet || (watch && (animating || reportedTransforms.has(key)))) return null;
+
+            console.error(`StorylinePanzoom: Can't zoom "${key}": ${reason}`);
+            if (watch) {
+                reportedTransforms.add(key);
+            }
+            return null;
+        };
+        if (typeof DOMMatrix !== 'function') {
+            return fail('this browser has no DOMMatrix support');
+        }
+
+        const computed = getComputedStyle(element).transform;
+        const base = value || (computed && computed !== 'none' ? computed : '');
+        let matrix = null;
+        for (const candidate of [base, computed]) {
+            try {
+                matrix = new DOMMatrix(candidate && candidate !== 'none' ? candidate : undefined);
+                break;
+            } catch (error) {
+                // Relative units are valid CSS but not DOMMatrix input; try the computed value
+            }
+        }
+
+        if (!matrix) return fail(`its transform "${base}" could not be read`);
+        if (!isFlat(matrix)) return fail(`its transform "${base}" is 3D`);
+
+        const { a, b, c, d, e, f } = matrix;
+        if (!(a * d - b * c)) return fail(`its transform "${base}" has no size (is it mid-animation?)`, true);
+
+        reportedTransforms.delete(key);
+        return { value: base, a, b, c, d, e, f };
+    }
+
+    // Ratio between screen pixels and slide pixels in Storyline's scaled player
+    function getPlayerScale(element) {
+        const container = element.offsetParent || element.parentElement;
+        if (!container || !container.offsetWidth) return 1;
+
+        return container.getBoundingClientRect().width / container.offsetWidth || 1;
+    }
+
+    function getTransformOrigin(element) {
+        const [x = '50%', y = '50%'] = getComputedStyle(element).transformOrigin.split(' ');
+        const resolve = (value, size) => value.endsWith('%') ? parseFloat(value) / 100 * size : parseFloat(value) || 0;
+
+        return { x: resolve(x, element.offsetWidth), y: resolve(y, element.offsetHeight) };
+    }
+
+    // Undo the shape's own transform (and an extra uniform factor) for a screen-space vector
+    function screenVectorToLocal(instance, deltaX, deltaY, factor) {
+        const { a, b, c, d } = instance.baseTransform;
+        const determinant = (a * d - b * c) * factor;
+
+        return {
+            x: (d * deltaX - c * deltaY) / determinant,
+            y: (a * deltaY - b * deltaX) / determinant
+        };
+    }
+
+    // Convert a screen point into the zoomed element's local space (relative to its transform
+    // origin, including the current pan) by undoing the player scale and the shape's transform
+    function clientToLocal(instance, clientX, clientY) {
+        const { slideObject } = instance.elements;
+        const { a, b, c, d } = instance.baseTransform;
+        const { rendered, panzoom, target } = instance;
+        const playerScale = getPlayerScale(slideObject);
+        const origin = getTransformOrigin(target);
+        const rect = target.getBoundingClientRect();
+
+        // The box centre is drawn at origin + playerScale * M * scale * (centre - origin + pan),
+        // which gives the on-screen position of the transform origin
+        const localX = (target.offsetWidth / 2 - origin.x + rendered.x) * rendered.scale;
+        const localY = (target.offsetHeight / 2 - origin.y + rendered.y) * rendered.scale;
+        const originX = rect.left + rect.width / 2 - playerScale * (a * localX + c * localY);
+        const originY = rect.top + rect.height / 2 - playerScale * (b * localX + d * localY);
+
+        // Rendering happens on the next frame, so invert with Panzoom's latest scale
+        return screenVectorToLocal(instance, clientX - originX, clientY - originY, playerScale * panzoom.getScale());
+    }
+
+    // Draw the current view. The zoom goes after the object's own transform, so the pan
+    // offset is expressed in the object's pixels whatever Storyline put in front of it
+    function renderObject(instance) {
+        const { scale, x, y } = instance.rendered;
+        const { slideObject, content } = instance.elements;
+        const zoom = `scale(${scale}) translate(${x}px, ${y}px)`;
+
+        if (instance.options.mode === 'loupe') {
+            // The lens shows the magnified picture; the object itself never changes
+            return;
+        }
+        if (instance.options.mode === 'clip') {
+            // Zoom the content inside the viewport; the shape itself is left untouched
+            content.style.transform = `${instance.originalState.contentTransform} ${zoom}`.trim();
+        } else {
+            slideObject.style.transform = `${instance.baseTransform.value} ${zoom}`.trim();
+            instance.appliedTransform = slideObject.style.transform;
+        }
+    }
+
+    // Storyline rewrites the transform of objects on motion paths and in animations; take
+    // each new value as the object's own transform and put the zoom back on top of it
+    function watchTransform(instance) {
+        const { slideObject } = instance.elements;
+        const observer = new MutationObserver(() => {
+            const current = slideObject.style.transform;
+            if (instance.destroyed || current === instance.appliedTransform) return;
+
+            instance.appliedTransform = current;
+            const baseTransform = parseTransform(slideObject, current, instance.key, { quiet: true });
+            if (!baseTransform) return;
+
+            instance.baseTransform = baseTransform;
+            instance.originalState.objectTransform = current;
+            if (instance.overlay) {
+                instance.overlay.style.transform = `translate(${baseTransform.e}px, ${baseTransform.f}px)`;
+            }
+            if (instance.options.mode === 'overlay') {
+                renderObject(instance);
+            }
+        });
+
+        observer.observe(slideObject, { attributes: true, attributeFilter: ['style'] });
+        instance.transformObserver = observer;
+    }
+
+    function getScaleLimits(instance) {
+        const { minScale, maxScale, contain } = instance.options;
+
+        // 'outside' never lets the picture shrink below its frame
+        return {
+            min: contain === 'outside' ? Math.max(minScale, 1) : minScale,
+            max: maxScale
+        };
+    }
+
+    // The object's original rectangle and the zoom origin inside it, in slide pixels
+    function getFrame(instance) {
+        const { originalState, target } = instance;
+
+        return {
+            width: parseFloat(originalState.width) || target.offsetWidth,
+            height: parseFloat(originalState.height) || target.offsetHeight,
+            origin: getTransformOrigin(target)
+        };
+    }
+
+    // Pan range that keeps the picture and the object's original frame overlapping fully:
+    // inside the frame when zoomed out, covering it when zoomed in
+    function getPanBounds(instance, scale) {
+        const { width, height, origin } = getFrame(instance);
+        const factor = 1 - 1 / scale;
+
+        const axis = (size, from) => {
+            const a = from * factor;
+            const b = (from - size) * factor;
+            return { min: Math.min(a, b), max: Math.max(a, b), size };
+        };
+        return { x: axis(width, origin.x), y: axis(height, origin.y) };
+    }
+
+    // Point of the picture shown at the centre of the frame, in percent of the picture's size
+    function getFocus(instance) {
+        const { width, height, origin } = getFrame(instance);
+        const scale = instance.panzoom.getScale();
+        const pan = instance.panzoom.getPan();
+
+        return {
+            x: (origin.x - pan.x + (width / 2 - origin.x) / scale) / width * 100,
+            y: (origin.y - pan.y + (height / 2 - origin.y) / scale) / height * 100
+        };
+    }
+
+    // Pan offset that brings a picture point (in percent) to the centre of the frame
+    function focusToPan(instance, focusX, focusY, scale) {
+        const { width, height, origin } = getFrame(instance);
+
+        return {
+            x: origin.x - focusX / 100 * width + (width / 2 - origin.x) / scale,
+            y: origin.y - focusY / 100 * height + (height / 2 - origin.y) / scale
+        };
+    }
+
+    // Let the picture follow the finger past the bounds with growing resistance
+    function rubberBand(value, { min, max, size }) {
+        const resist = (distance) => (1 - 1 / (distance * 0.55 / size + 1)) * size;
+        if (value < min) return min - resist(min - value);
+        if (value > max) return max + resist(value - max);
+        return value;
+    }
+
+    function clamp(value, { min, max }) {
+        return Math.min(Math.max(value, min), max);
+    }
+
+    function on(target, event, handler) {
+        if (!eventNames.includes(event)) {
+            console.warn(`StorylinePanzoom: Unknown event "${event}"`);
+            return () => {};
+        }
+
+        // Handlers stay keyed by name, so they also apply after the object is re-initialized
+        const instance = lookupInstance(target);
+        const key = instance ? instance.key : getKey(target);
+        if (!listeners.has(key)) {
+            listeners.set(key, {});
+        }
+        const handlers = listeners.get(key);
+        (handlers[event] = handlers[event] || new Set()).add(handler);
+
+        return () => off(key, event, handler);
+    }
+
+    function off(target, event, handler) {
+        const instance = lookupInstance(target);
+        const handlers = listeners.get(instance ? instance.key : getKey(target));
+        if (!handlers || !handlers[event]) return;
+
+        if (handler) {
+            handlers[event].delete(handler);
+        } else {
+            handlers[event].clear();
+        }
+    }
+
+    function emit(instance, event, source, extra = {}) {
+        const pan = instance.panzoom.getPan();
+        const detail = {
+            accText: instance.key,
+            scale: instance.panzoom.getScale(),
+            x: pan.x,
+            y: pan.y,
+            source,
+            ...extra
+        };
+        const handlers = Array.from((listeners.get(instance.key) || {})[event] || []);
+        const optionHandler = instance.options[optionHandlers[event]];
+        if (typeof optionHandler === 'function') {
+            handlers.unshift(optionHandler);
+        }
+
+        handlers.forEach(handler => {
+            try {
+                handler(detail);
+            } catch (e) {
+                console.error(`StorylinePanzoom: "${event}" handler for "${instance.key}" failed:`, e);
+            }
+        });
+    }
+
+    // A zoomstart/zoomend pair wraps every interaction: gestures hold it open until the
+    // fingers or mouse button are released, anything else ends once it has settled
+    function notifyChange(instance, previous, { source, hold, delay }) {
+        const { panzoom } = instance;
+        const pan = panzoom.getPan();
+        const zoomed = panzoom.getScale() !== previous.scale;
+        const panned = pan.x !== previous.x || pan.y !== previous.y;
+
+        if (zoomed || panned) {
+            // Anything but the tour itself taking over the view ends a running tour
+            if (instance.tourTimer && source !== 'hotspot') {
+                stopTour(instance.key);
+            }
+            if (!instance.interaction) {
+                instance.interaction = source;
+                emit(instance, 'zoomstart', source);
+                if (instance.metrics) {
+                    countGesture(instance.metrics, source);
+                }
+            }
+            if (zoomed) emit(instance, 'zoomchange', source);
+            if (panned) emit(instance, 'pan', source);
+            if (instance.metrics) {
+                trackView(instance);
+            }
+        }
+
+        clearTimeout(instance.settleTimer);
+        if (instance.interaction && !hold) {
+            instance.settleTimer = setTimeout(() => endInteraction(instance), delay + 100);
+        }
+    }
+
+    function endInteraction(instance) {
+        clearTimeout(instance.settleTimer);
+        if (!instance.interaction || instance.destroyed) return;
+
+        const source = instance.interaction;
+        if (instance.options.announce) {
+            announceView(instance);
+        }
+        instance.interaction = null;
+        emit(instance, 'zoomend', source);
+        if (instance.options.persist) {
+            saveState(instance);
+        }
+    }
+
+    // Apply a new scale and pan offset, enforcing the scale limits and the contain option
+    function setView(instance, view, {
+        animate = false,
+        duration = instance.options.duration,
+        easing = instance.options.easing,
+        elastic = false,
+        source = 'api',
+        hold = false
+    } = {}) {
+        const { panzoom, options } = instance;
+        const limits = getScaleLimits(instance);
+        const scale = clamp(view.scale, limits);
+        if (instance.glide && source !== 'inertia') {
+            stopGlide(instance);
+        }
+        const previous = { scale: panzoom.getScale(), ...panzoom.getPan() };
+        let { x, y } = view;
+
+        if (options.contain) {
+            const bounds = getPanBounds(instance, scale);
+            const limit = elastic ? rubberBand : clamp;
+            x = limit(x, bounds.x);
+            y = limit(y, bounds.y);
+        }
+
+        // Panzoom hands duration/easing to setTransform, which turns them into a transition
+        panzoom.zoom(scale, { animate, duration, easing, force: true });
+        panzoom.pan(x, y, { animate, duration, easing, force: true });
+        notifyChange(instance, previous, { source, hold, delay: animate ? duration : 0 });
+    }
+
+    // Move the picture by a screen-space distance; the object's frame stays where it is
+    function panBy(instance, deltaX, deltaY, source) {
+        const { panzoom, options } = instance;
+        if (options.panOnlyWhenZoomed && panzoom.getScale() <= 1) return false;
+
+        const scale = getPlayerScale(instance.elements.slideObject) * panzoom.getScale();
+        const delta = screenVectorToLocal(instance, deltaX, deltaY, scale);
+
+        // While dragging with elastic edges, track the unconstrained position separately
+        // so the resistance is computed from how far the learner has actually pulled
+        const elastic = Boolean(options.contain && options.elastic);
+        const base = (elastic && instance.dragPan) || panzoom.getPan();
+        const next = { x: base.x + delta.x, y: base.y + delta.y };
+        if (elastic) {
+            instance.dragPan = next;
+        }
+
+        setView(instance, { scale: panzoom.getScale(), ...next }, { elastic, source, hold: true });
+        return true;
+    }
+
+    // End of a drag or pinch: snap a rubber-banded picture back inside its bounds and
+    // let the interaction finish
+    function releaseGesture(instance) {
+        const { panzoom } = instance;
+        if (!instance.dragPan) {
+            endInteraction(instance);
+            return;
+        }
+
+        instance.dragPan = null;
+        setView(instance, { scale: panzoom.getScale(), ...panzoom.getPan() }, {
+            animate: true,
+            source: instance.interaction || 'drag'
+        });
+    }
+
+    // Zoom factor for one wheel event: proportional to the distance scrolled, so trackpads
+    // zoom smoothly and a mouse notch is one step
+    function getWheelZoom(e, step) {
+        const unit = e.deltaMode === 1 ? wheelLine : e.deltaMode === 2 ? wheelPage : 1;
+        const pixels = clamp(e.deltaY * unit, { min: -2 * wheelNotch, max: 2 * wheelNotch });
+        const gain = e.ctrlKey ? pinchWheelGain : 1;
+
+        return Math.exp(-pixels / wheelNotch * step * gain);
+    }
+
+    // Smoothed screen velocity of a drag, in pixels per millisecond
+    function trackVelocity(tracker, deltaX, deltaY) {
+        const now = Date.now();
+        const elapsed = Math.max(now - tracker.time, 1);
+
+        tracker.x = 0.8 * deltaX / elapsed + 0.2 * tracker.x;
+        tracker.y = 0.8 * deltaY / elapsed + 0.2 * tracker.y;
+        tracker.time = now;
+    }
+
+    // End of a drag: with inertia on, a flick keeps the picture moving and slowing down
+    // before the gesture is released
+    function releaseDrag(instance, tracker) {
+        const settings = instance.options.inertia && {
+            ...defaultInertia,
+            ...(instance.options.inertia === true ? {} : instance.options.inertia)
+        };
+        const moving = Date.now() - tracker.time < 50;
+        if (!settings || !moving || Math.hypot(tracker.x, tracker.y) < settings.minSpeed * 5) {
+            releaseGesture(instance);
+            return;
+        }
+
+        let velocity = { x: tracker.x, y: tracker.y };
+        let last = Date.now();
+        const frame = () => {
+            const now = Date.now();
+            const elapsed = Math.min(now - last, 32);
+            const decay = Math.pow(settings.friction, elapsed / 16);
+            last = now;
+            velocity = { x: velocity.x * decay, y: velocity.y * decay };
+
+            // Stop at the edge and let the release snap a rubber-banded picture back
+            const outside = instance.dragPan && instance.options.contain && (() => {
+                const bounds = getPanBounds(instance, instance.panzoom.getScale());
+                const { x, y } = instance.dragPan;
+                return x < bounds.x.min || x > bounds.x.max || y < bounds.y.min || y > bounds.y.max;
+            })();
+            if (outside || Math.hypot(velocity.x, velocity.y) < settings.minSpeed ||
+                !panBy(instance, velocity.x * elapsed, velocity.y * elapsed, 'inertia')) {
+                instance.glide = null;
+                releaseGesture(instance);
+                return;
+            }
+            instance.glide = requestAnimationFrame(frame);
+        };
+        instance.glide = requestAnimationFrame(frame);
+    }
+
+    function stopGlide(instance) {
+        cancelAnimationFrame(instance.glide);
+        instance.glide = null;
+    }
+
+    function injectStyles() {
+        if (document.getElementById('storyline-panzoom-styles')) return;
+
+        const style = document.createElement('style');
+        style.id = 'storyline-panzoom-styles';
+        style.textContent = styles;
+        document.head.appendChild(style);
+    }
+
+    // Layer on top of the object's original frame for controls and other UI; it stays put
+    // while the object zooms
+    function getOverlay(instance) {
+        if (instance.overlay) return instance.overlay;
+
+        const { slideObject } = instance.elements;
+        const { originalState, baseTransform } = instance;
+        const overlay = document.createElement('div');
+        overlay.className = 'storyline-panzoom-overlay';
+        overlay.style.width = originalState.width;
+        overlay.style.height = originalState.height;
+        overlay.style.transform = `translate(${baseTransform.e}px, ${baseTransform.f}px)`;
+        overlay.style.zIndex = (parseInt(originalState.zIndex, 10) || 0) + 1;
+
+        injectStyles();
+        slideObject.parentNode.insertBefore(overlay, slideObject.nextSibling);
+        instance.overlay = overlay;
+        return overlay;
+    }
+
+    function createControls(instance) {
+        const settings = instance.options.controls === true ? {} : instance.options.controls;
+        const position = controlPositions.includes(settings.position) ? settings.position : 'bottom-right';
+        const bar = document.createElement('div');
+        bar.className = `storyline-panzoom-controls storyline-panzoom-controls--${position} ${settings.className || ''}`.trim();
+        bar.setAttribute('role', 'toolbar');
+        bar.setAttribute('aria-label', `Zoom controls for ${instance.key}`);
+
+        // theme: { background, color, accent, radius, size } map onto the CSS custom properties
+        Object.keys(settings.theme || {}).forEach(key => {
+            bar.style.setProperty(`--storyline-panzoom-${key}`, settings.theme[key]);
+        });
+
+        const addButton = (label, text, action) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = text;
+            button.setAttribute('aria-label', label);
+            button.title = label;
+            button.addEventListener('click', action);
+            bar.appendChild(button);
+            return button;
+        };
+
+        const zoomOutButton = addButton('Zoom out', '\u2212', () => zoomBy(instance, -1, 'button'));
+        const readout = document.createElement('span');
+        readout.className = 'storyline-panzoom-readout';
+        bar.appendChild(readout);
+        const zoomInButton = addButton('Zoom in', '+', () => zoomBy(instance, 1, 'button'));
+        addButton('Reset zoom', '\u27f2', () => resetView(instance, 'button'));
+        if (instance.options.lightbox) {
+            addButton('Open larger view', '\u2922', () => openLightbox(instance.key));
+        }
+
+        getOverlay(instance).appendChild(bar);
+        instance.controls = { bar, readout, zoomInButton, zoomOutButton };
+        updateControls(instance);
+    }
+
+    function updateControls(instance) {
+        const { readout, zoomInButton, zoomOutButton } = instance.controls;
+        const scale = instance.panzoom.getScale();
+        const limits = getScaleLimits(instance);
+
+        readout.textContent = `${Math.round(scale * 100)}%`;
+        zoomInButton.disabled = scale >= limits.max;
+        zoomOutButton.disabled = scale <= limits.min;
+    }
+
+    // Thumbnail of the whole picture in a corner of the frame, with a rectangle for the part
+    // in view. Dragging the rectangle pans, clicking elsewhere centres the view there.
+    function createMinimap(instance) {
+        const settings = instance.options.minimap === true ? {} : instance.options.minimap;
+        const position = controlPositions.includes(settings.position) ? settings.position : 'top-left';
+        const size = settings.size || 120;
+        const { width, height } = getFrame(instance);
+        const source = getImageSource(instance.elements.image);
+
+        const map = document.createElement('div');
+        map.className = `storyline-panzoom-minimap storyline-panzoom-minimap--${position} ${settings.className || ''}`.trim();
+        map.style.width = `${size}px`;
+        map.style.height = `${size * height / width}px`;
+        if (source) {
+            map.style.backgroundImage = `url("${source}")`;
+        }
+        // Keyboard users pan with the arrow keys, so the map is for pointers only
+        map.setAttribute('aria-hidden', 'true');
+        const viewport = document.createElement('div');
+        viewport.className = 'storyline-panzoom-minimap-viewport';
+        map.appendChild(viewport);
+
+        // Point of the picture under the pointer, in percent
+        const toPercent = (clientX, clientY) => {
+            const rect = map.getBoundingClientRect();
+            return { x: (clientX - rect.left) / rect.width * 100, y: (clientY - rect.top) / rect.height * 100 };
+        };
+
+        let grab = null;
+        let dragged = false;
+        const moveTo = (clientX, clientY, animate) => {
+            const point = toPercent(clientX, clientY);
+            const scale = instance.panzoom.getScale();
+            setView(instance, { scale, ...focusToPan(instance, point.x - grab.x, point.y - grab.y, scale) }, {
+                animate,
+                source: 'minimap',
+                hold: !animate
+            });
+        };
+        const start = (e, clientX, clientY) => {
+            const point = toPercent(clientX, clientY);
+            const focus = getFocus(instance);
+            dragged = false;
+
+            // The rectangle keeps its offset to the pointer; anywhere else is a jump
+            if (e.target === viewport) {
+                grab = { x: point.x - focus.x, y: point.y - focus.y };
+            } else {
+                grab = { x: 0, y: 0 };
+                moveTo(clientX, clientY, true);
+            }
+        };
+        const move = (clientX, clientY) => {
+            dragged = true;
+            moveTo(clientX, clientY, false);
+        };
+        const end = () => {
+            grab = null;
+            if (dragged) {
+                endInteraction(instance);
+            }
+        };
+
+        listen(instance, map, 'pointerdown', (e) => {
+            if ((e.pointerType === 'mouse' && e.button !== 0) || grab) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+            try {
+                map.setPointerCapture(e.pointerId);
+            } catch (error) {
+                // Without capture the drag just stops at the map's edge
+            }
+            start(e, e.clientX, e.clientY);
+        });
+        listen(instance, map, 'pointermove', (e) => {
+            if (grab) {
+                move(e.clientX, e.clientY);
+            }
+        });
+        listen(instance, map, 'pointerup', () => grab && end());
+        listen(instance, map, 'pointercancel', () => grab && end());
+
+        getOverlay(instance).appendChild(map);
+        instance.minimap = { element: map, viewport };
+        updateMinimap(instance);
+    }
+
+    function updateMinimap(instance) {
+        const { element, viewport } = instance.minimap;
+        const scale = instance.panzoom.getScale();
+        const focus = getFocus(instance);
+        const size = 100 / scale;
+
+        // Nothing to find your way around in until the picture is zoomed in
+        element.classList.toggle('storyline-panzoom-minimap--hidden', scale <= 1);
+        viewport.style.left = `${focus.x - size / 2}%`;
+        viewport.style.top = `${focus.y - size / 2}%`;
+        viewport.style.width = `${size}%`;
+        viewport.style.height = `${size}%`;
+    }
+
+    function getLabel(instance) {
+        const { accImage } = instance.elements;
+        return (accImage && accImage.getAttribute('aria-label')) || instance.elements.accText || instance.key;
+    }
+
+    // One shared polite live region and help text for all instances
+    function getLiveRegion() {
+        let region = document.getElementById('storyline-panzoom-live');
+        if (region) return region;
+
+        injectStyles();
+        region = document.createElement('div');
+        region.id = 'storyline-panzoom-live';
+        region.className = 'storyline-panzoom-sr-only';
+        region.setAttribute('aria-live', 'polite');
+        region.setAttribute('aria-atomic', 'true');
+        document.body.appendChild(region);
+
+        const help = document.createElement('div');
+        help.id = 'storyline-panzoom-help';
+        help.className = 'storyline-panzoom-sr-only';
+        help.textContent = keyboardHelp;
+        document.body.appendChild(help);
+        return region;
+    }
+
+    function announce(message) {
+        const region = getLiveRegion();
+
+        // Clear first so repeating the same zoom level is read out again
+        region.textContent = '';
+        setTimeout(() => {
+            region.textContent = message;
+        }, 50);
+    }
+
+    function announceView(instance) {
+        const hotspot = instance.interaction === 'hotspot' && instance.options.hotspots[instance.hotspotIndex];
+        const parts = [getLabel(instance)];
+        if (hotspot && hotspot.label) {
+            parts.push(hotspot.label);
+        }
+        parts.push(`zoom ${Math.round(instance.panzoom.getScale() * 100)}%`);
+        announce(parts.join(', '));
+    }
+
+    function handleKeydown(instance, e) {
+        const { panzoom } = instance;
+        const { width, height } = getFrame(instance);
+        const scale = panzoom.getScale();
+        const pan = panzoom.getPan();
+
+        // Arrow keys move the view by a share of the frame, Shift for bigger steps
+        const share = e.shiftKey ? 0.25 : 0.1;
+        const moves = {
+            ArrowLeft: [width * share, 0],
+            ArrowRight: [-width * share, 0],
+            ArrowUp: [0, height * share],
+            ArrowDown: [0, -height * share]
+        };
+
+        if (e.key === '+' || e.key === '=') {
+            zoomBy(instance, 1, 'keyboard');
+        } else if (e.key === '-' || e.key === '_') {
+            zoomBy(instance, -1, 'keyboard');
+        } else if (e.key === '0') {
+            resetView(instance, 'keyboard');
+        } else if ((e.key === 'Enter' || e.key === ' ') && instance.options.lightbox) {
+            openLightbox(instance.key);
+        } else if (moves[e.key] && !(instance.options.panOnlyWhenZoomed && scale <= 1)) {
+            const [deltaX, deltaY] = moves[e.key];
+            setView(instance, { scale, x: pan.x + deltaX / scale, y: pan.y + deltaY / scale }, {
+                animate: true,
+                source: 'keyboard'
+            });
+        } else {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+    }
+
+    // Make the object a keyboard stop with an accessible name. Storyline may also move focus
+    // to its own accessibility element for the object, so that one gets the keys too.
+    function enableKeyboard(instance) {
+        const { slideObject, accImage } = instance.elements;
+        const onKeydown = (e) => handleKeydown(instance, e);
+        const focusables = [slideObject];
+        const accFocusable = accImage && accImage.closest('[tabindex]');
+        if (accFocusable) {
+            focusables.push(accFocusable);
+        }
+
+        getLiveRegion();
+        instance.keyboard = {
+            onKeydown,
+            focusables,
+            attributes: ['tabindex', 'role', 'aria-label', 'aria-roledescription', 'aria-describedby']
+                .map(name => [name, slideObject.getAttribute(name)])
+        };
+
+        slideObject.tabIndex = 0;
+        // A group keeps its children (hotspots, labels) reachable for assistive technology
+        slideObject.setAttribute('role', instance.elements.type === 'group' ? 'group' : 'img');
+        slideObject.setAttribute('aria-label', getLabel(instance));
+        slideObject.setAttribute('aria-roledescription', 'zoomable image');
+        slideObject.setAttribute('aria-describedby', 'storyline-panzoom-help');
+        slideObject.classList.add('storyline-panzoom-focusable');
+        focusables.forEach(element => element.addEventListener('keydown', onKeydown));
+    }
+
+    function disableKeyboard(instance) {
+        const { slideObject } = instance.elements;
+        const { onKeydown, focusables, attributes } = instance.keyboard;
+
+        focusables.forEach(element => element.removeEventListener('keydown', onKeydown));
+        slideObject.classList.remove('storyline-panzoom-focusable');
+        attributes.forEach(([name, value]) => {
+            if (value === null) {
+                slideObject.removeAttribute(name);
+            } else {
+                slideObject.setAttribute(name, value);
+            }
+        });
+    }
+
+    function getPlayer() {
+        return typeof GetPlayer === 'function' ? GetPlayer() : null;
+    }
+
+    // Current values for the bound Storyline variables: scale, and the focus point in percent
+    function getVariableValues(instance) {
+        const focus = getFocus(instance);
+
+        return {
+            scale: Math.round(instance.panzoom.getScale() * 100) / 100,
+            x: Math.round(focus.x * 10) / 10,
+            y: Math.round(focus.y * 10) / 10
+        };
+    }
+
+    function pushVariables(instance) {
+        const player = getPlayer();
+        const { bindVariables } = instance.options;
+        if (!player) return;
+
+        const values = getVariableValues(instance);
+        Object.keys(bindVariables).forEach(key => {
+            if (!(key in values) || instance.variableValues[key] === values[key]) return;
+
+            instance.variableValues[key] = values[key];
+            player.SetVar(bindVariables[key], values[key]);
+        });
+    }
+
+    // Storyline has no change notifications for JavaScript, so bound variables are polled
+    // and compared with the last value this library wrote or read
+    function pollVariables(instance) {
+        const player = getPlayer();
+        const { bindVariables } = instance.options;
+        if (!player) return;
+
+        const changed = {};
+        Object.keys(bindVariables).forEach(key => {
+            const value = parseFloat(player.GetVar(bindVariables[key]));
+            if (isNaN(value) || value === instance.variableValues[key]) return;
+
+            instance.variableValues[key] = value;
+            changed[key] = value;
+        });
+        if (Object.keys(changed).length === 0) return;
+
+        const focus = getFocus(instance);
+        const scale = clamp('scale' in changed ? changed.scale : instance.panzoom.getScale(), getScaleLimits(instance));
+        const x = 'x' in changed ? changed.x : focus.x;
+        const y = 'y' in changed ? changed.y : focus.y;
+        setView(instance, { scale, ...focusToPan(instance, x, y, scale) }, { animate: true, source: 'variable' });
+    }
+
+    function bindVariables(instance) {
+        const { options } = instance;
+        instance.variableValues = {};
+        pushVariables(instance);
+        instance.variableTimer = setInterval(() => pollVariables(instance), options.variablePollInterval);
+    }
+
+    // persist: true | 'session' | 'local' | { storage: 'session' | 'local' | 'variable', variable, key }
+    function getPersistSettings(value) {
+        const settings = typeof value === 'object'
+            ? { storage: value.variable ? 'variable' : 'session', ...value }
+            : { storage: value === true ? 'session' : value };
+
+        if (!persistStorages.includes(settings.storage) || (settings.storage === 'variable' && !settings.variable)) {
+            console.warn('StorylinePanzoom: Unknown persist setting, using sessionStorage', value);
+            return { storage: 'session' };
+        }
+        return settings;
+    }
+
+    // Saved views are kept per slide, so the same object on another slide starts fresh
+    function getStateKey(instance, settings) {
+        if (settings.key) return settings.key;
+
+        const slide = instance.elements.slideObject.closest('.slide-layer[data-model-id], .slide[data-model-id]');
+        const slideKey = slide ? slide.getAttribute('data-model-id') : (location.hash || location.pathname);
+        return `${slideKey}|${instance.key}`;
+    }
+
+    function readStates(settings) {
+        try {
+            if (settings.storage === 'variable') {
+                const player = getPlayer();
+                return (player && JSON.parse(player.GetVar(settings.variable) || '{}')) || {};
+            }
+            const storage = settings.storage === 'local' ? window.localStorage : window.sessionStorage;
+            return JSON.parse(storage.getItem(persistKey) || '{}') || {};
+        } catch (e) {
+            // Blocked storage or a variable holding something else: nothing to restore
+            return {};
+        }
+    }
+
+    function writeStates(settings, states) {
+        const value = JSON.stringify(states);
+        try {
+            if (settings.storage === 'variable') {
+                const player = getPlayer();
+                if (player) {
+                    player.SetVar(settings.variable, value);
+                }
+            } else {
+                const storage = settings.storage === 'local' ? window.localStorage : window.sessionStorage;
+                storage.setItem(persistKey, value);
+            }
+        } catch (e) {
+            console.warn('StorylinePanzoom: Could not save the zoom state:', e);
+        }
+    }
+
+    // Store scale and focus point (in percent, like the bound variables) compactly, as the
+    // variable ends up in the LMS suspend data; an untouched view removes the entry
+    function saveState(instance) {
+        const settings = instance.options.persist;
+        const states = readStates(settings);
+        const key = getStateKey(instance, settings);
+        const { scale, x, y } = getVariableValues(instance);
+
+        if (scale === 1 && x === 50 && y === 50) {
+            delete states[key];
+        } else {
+            states[key] = [scale, x, y];
+        }
+        writeStates(settings, states);
+    }
+
+    function restoreState(instance) {
+        if (instance.destroyed) return;
+
+        const settings = instance.options.persist;
+        const state = readStates(settings)[getStateKey(instance, settings)];
+        if (!Array.isArray(state)) return;
+
+        const [scale, x, y] = state;
+        setView(instance, { scale, ...focusToPan(instance, x, y, scale) }, { source: 'restore' });
+    }
+
+    // Analytics: engagement per object (time zoomed in, deepest zoom, which parts of the
+    // picture were in view on a grid, how many gestures), handed to a reporter on demand
+    // and when the object leaves with its slide.
+    //
+    // analytics: true | { grid, reporter } where reporter is a function, or
+    // { type: 'xapi', endpoint, auth, actor, activityId } or { type: 'variable', variable }
+    function startMetrics(instance) {
+        const settings = instance.options.analytics === true ? {} : instance.options.analytics;
+        instance.options.analytics = { grid: 4, reporter: null, ...settings };
+        instance.metrics = {
+            startedAt: Date.now(),
+            zoomedSince: null,
+            timeZoomed: 0,
+            maxScale: 1,
+            regions: new Set(),
+            gestures: 0,
+            sources: {}
+        };
+
+        // Closing the course doesn't tear objects down, so report whatever is still open
+        if (!reportOnPageHide) {
+            reportOnPageHide = true;
+            window.addEventListener('pagehide', () => {
+                instances.forEach((open, key) => {
+                    if (open.metrics && open.options.analytics.reporter) {
+                        report(key);
+                    }
+                });
+            });
+        }
+    }
+
+    function countGesture(metrics, source) {
+        metrics.sources[source] = (metrics.sources[source] || 0) + 1;
+        if (!automaticSources.includes(source)) {
+            metrics.gestures++;
+        }
+    }
+
+    function trackView(instance) {
+        const { metrics } = instance;
+        const scale = instance.panzoom.getScale();
+        const now = Date.now();
+
+        metrics.maxScale = Math.max(metrics.maxScale, scale);
+        if (scale > 1 && metrics.zoomedSince === null) {
+            metrics.zoomedSince = now;
+        } else if (scale <= 1 && metrics.zoomedSince !== null) {
+            metrics.timeZoomed += now - metrics.zoomedSince;
+            metrics.zoomedSince = null;
+        }
+        if (scale <= 1) return;
+
+        // Every grid cell that overlaps the visible part of the picture counts as visited
+        const grid = instance.options.analytics.grid;
+        const focus = getFocus(instance);
+        const half = 50 / scale;
+        const cell = 100 / grid;
+        const range = (center) => ({
+            from: Math.max(Math.floor((center - half) / cell), 0),
+            to: Math.min(Math.ceil((center + half) / cell) - 1, grid - 1)
+        });
+        const rows = range(focus.y);
+        const columns = range(focus.x);
+        for (let row = rows.from; row <= rows.to; row++) {
+            for (let column = columns.from; column <= columns.to; column++) {
+                metrics.regions.add(row * grid + column);
+            }
+        }
+    }
+
+    // Snapshot of the metrics; regions are numbered row by row from the top left
+    function getMetrics(target) {
+        const instance = lookupInstance(target);
+        if (!instance || !instance.metrics) return null;
+
+        const { metrics } = instance;
+        const grid = instance.options.analytics.grid;
+        const running = metrics.zoomedSince === null ? 0 : Date.now() - metrics.zoomedSince;
+
+        return {
+            accText: instance.key,
+            timeZoomed: metrics.timeZoomed + running,
+            timeOnObject: Date.now() - metrics.startedAt,
+            maxScale: Math.round(metrics.maxScale * 100) / 100,
+            regions: Array.from(metrics.regions).sort((a, b) => a - b),
+            regionsVisited: metrics.regions.size,
+            regionCount: grid * grid,
+            coverage: Math.round(metrics.regions.size / (grid * grid) * 100) / 100,
+            gestures: metrics.gestures,
+            sources: { ...metrics.sources }
+        };
+    }
+
+    // ISO 8601 duration as xAPI expects it, e.g. PT12.5S
+    function toDuration(milliseconds) {
+        return `PT${Math.round(milliseconds / 100) / 10}S`;
+    }
+
+    // An xAPI launch passes endpoint, auth and actor on the URL; settings override them
+    function getLaunchParameter(name) {
+        const value = new URLSearchParams(window.location.search).get(name);
+        if (name !== 'actor' || !value) return value;
+
+        try {
+            return JSON.parse(value);
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function buildStatement(metrics, settings) {
+        const extension = name => `urn:storyline-panzoom:${name}`;
+        const page = window.location.href.split(/[?#]/)[0];
+
+        return {
+            actor: settings.actor || getLaunchParameter('actor') || {
+                objectType: 'Agent',
+                account: { homePage: window.location.origin, name: 'anonymous' }
+            },
+            verb: {
+                id: 'http://adlnet.gov/expapi/verbs/interacted',
+                display: { 'en-US': 'interacted' }
+            },
+            object: {
+                objectType: 'Activity',
+                id: settings.activityId || `${page}#${encodeURIComponent(metrics.accText)}`,
+                definition: {
+                    type: 'http://adlnet.gov/expapi/activities/media',
+                    name: { 'en-US': metrics.accText }
+                }
+            },
+            result: {
+                duration: toDuration(metrics.timeZoomed),
+                extensions: {
+                    [extension('max-scale')]: metrics.maxScale,
+                    [extension('regions')]: metrics.regions,
+                    [extension('regions-visited')]: metrics.regionsVisited,
+                    [extension('coverage')]: metrics.coverage,
+                    [extension('gestures')]: metrics.gestures
+                }
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+
+    function sendStatement(statement, settings) {
+        const endpoint = settings.endpoint || getLaunchParameter('endpoint');
+        if (!endpoint) {
+            console.error('StorylinePanzoom: No xAPI endpoint to send the statement to');
+            return Promise.resolve(null);
+        }
+
+        const headers = { 'Content-Type': 'application/json', 'X-Experience-API-Version': '1.0.3' };
+        const auth = settings.auth || getLaunchParameter('auth');
+        if (auth) {
+            headers.Authorization = auth;
+        }
+
+        // keepalive lets the request finish while the learner closes the course
+        return fetch(`${endpoint.replace(/\/?$/, '/')}statements`, {
+            method: 'POST',
+            headers,
+            body: JSON.stringify(statement),
+            keepalive: true
+        }).then((response) => {
+            if (!response.ok) {
+                throw new Error(`LRS answered ${response.status}`);
+            }
+            return response;
+        }).catch((e) => {
+            console.error('StorylinePanzoom: Could not send the xAPI statement:', e);
+            return null;
+        });
+    }
+
+    // Hand the current metrics to the configured reporter and return them
+    function report(target) {
+        const metrics = getMetrics(target);
+        if (!metrics) return null;
+
+        const { reporter } = lookupInstance(target).options.analytics;
+        try {
+            if (typeof reporter === 'function') {
+                reporter(metrics);
+            } else if (reporter && reporter.type === 'xapi') {
+                sendStatement(buildStatement(metrics, reporter), reporter);
+            } else if (reporter && reporter.type === 'variable') {
+                const player = getPlayer();
+                if (player) {
+                    player.SetVar(reporter.variable, JSON.stringify(metrics));
+                }
+            }
+        } catch (e) {
+            console.error(`StorylinePanzoom: Reporting "${metrics.accText}" failed:`, e);
+        }
+        return metrics;
+    }
+
+    // One step in or out (Panzoom's exponential step) around the point at the frame centre
+    function zoomBy(instance, direction, source) {
+        const { panzoom, options } = instance;
+        const focus = getFocus(instance);
+        const scale = clamp(panzoom.getScale() * Math.exp(direction * options.step), getScaleLimits(instance));
+
+        setView(instance, { scale, ...focusToPan(instance, focus.x, focus.y, scale) }, { animate: true, source });
+    }
+
+    // Zoom while keeping the content under the given screen point in place
+    function zoomAtPoint(instance, toScale, clientX, clientY, { source = 'api', hold = false, animate = false } = {}) {
+        const { panzoom } = instance;
+        const scale = panzoom.getScale();
+        const newScale = clamp(toScale, getScaleLimits(instance));
+        if (newScale === scale) return;
+
+        const point = clientToLocal(instance, clientX, clientY);
+        const pan = panzoom.getPan();
+        const ratio = scale / newScale;
+
+        setView(instance, {
+            scale: newScale,
+            x: pan.x + point.x * (ratio - 1),
+            y: pan.y + point.y * (ratio - 1)
+        }, { source, hold, animate });
+    }
+
+    // Resolve the gestures option: true/false switch a gesture, a number is the double-tap
+    // scale, an object overrides single settings
+    function getGestures(options) {
+        const settings = { ...defaultGestures, ...options.gestures };
+        const resolve = (name, defaults, field, allowed) => {
+            const value = settings[name];
+            if (!value) return null;
+            if (typeof value === 'number') return { ...defaults, scale: value };
+            if (typeof value === 'string') {
+                if (allowed.includes(value)) return { ...defaults, [field]: value };
+                console.warn(`StorylinePanzoom: Unknown ${name} ${field} "${value}", using "${defaults[field]}"`);
+                return { ...defaults };
+            }
+            return { ...defaults, ...(value === true ? {} : value) };
+        };
+
+        return {
+            wheel: settings.wheel === 'ctrl' ? 'ctrl' : Boolean(settings.wheel),
+            pinch: Boolean(settings.pinch),
+            pan: Boolean(settings.pan),
+            doubleTap: resolve('doubleTap', defaultDoubleTap, 'mode', doubleTapModes),
+            doubleClick: resolve('doubleClick', defaultDoubleTap, 'mode', doubleTapModes),
+            longPress: resolve('longPress', defaultLongPress, 'action', longPressActions)
+        };
+    }
+
+    // 'toggle' zooms to the configured scale and back; 'step' zooms in one step each time
+    // and starts over once the maximum is reached
+    function zoomOnDoubleTap(instance, { scale, mode }, clientX, clientY, source) {
+        const current = instance.panzoom.getScale();
+
+        if (mode === 'step') {
+            if (current >= getScaleLimits(instance).max) {
+                resetView(instance, source);
+            } else {
+                zoomAtPoint(instance, current * Math.exp(instance.options.step), clientX, clientY, { source, animate: true });
+            }
+        } else if (current > 1) {
+            resetView(instance, source);
+        } else {
+            zoomAtPoint(instance, scale, clientX, clientY, { source, animate: true });
+        }
+    }
+
+    // action: 'reset', 'zoom-in', 'zoom-out' or a function that gets the press position
+    function runLongPress(instance, { action }, clientX, clientY) {
+        const source = 'long-press';
+        const scale = instance.panzoom.getScale();
+
+        if (typeof action === 'function') {
+            action({ accText: instance.key, clientX, clientY });
+        } else if (action === 'zoom-in' || action === 'zoom-out') {
+            const direction = action === 'zoom-in' ? 1 : -1;
+            zoomAtPoint(instance, scale * Math.exp(direction * instance.options.step), clientX, clientY, {
+                source,
+                animate: true
+            });
+        } else {
+            resetView(instance, source);
+        }
+    }
+
+    // Add a listener that is removed again when the instance is torn down
+    function listen(instance, target, type, handler, options) {
+        target.addEventListener(type, handler, options);
+        instance.cleanup.push(() => target.removeEventListener(type, handler, options));
+    }
+
+    // Wheel plus one Pointer Events recogniser for mouse, pen and touch: a single pointer
+    // pans, taps, double-taps or long-presses, two pointers pinch. Drives the instance's view
+    // as set up by the gestures option, for the object itself and for its lightbox copy.
+    function bindGestures(instance, element) {
+        const gestures = getGestures(instance.options);
+        const pointers = new Map();
+        const velocity = { x: 0, y: 0, time: 0 };
+        let pinchDistance = 0;
+        let tap = null;
+        let lastTap = null;
+        let pressTimer = null;
+
+        listen(instance, element, 'wheel', (e) => {
+            // A disabled wheel, or one without Ctrl in 'ctrl' mode, keeps scrolling the page
+            if (!gestures.wheel || (gestures.wheel === 'ctrl' && !e.ctrlKey && !e.metaKey)) return;
+
+            e.preventDefault();
+            e.stopPropagation();
+
+            // Anchored on the cursor; a trackpad pinch reports itself as a Ctrl+wheel
+            const scale = instance.panzoom.getScale() * getWheelZoom(e, instance.options.step);
+            zoomAtPoint(instance, scale, e.clientX, e.clientY, { source: e.ctrlKey ? 'pinch' : 'wheel' });
+        }, { passive: false });
+
+        const cancelPress = () => {
+            clearTimeout(pressTimer);
+            pressTimer = null;
+        };
+        instance.cleanup.push(cancelPress);
+
+        const getPinch = () => {
+            const [a, b] = Array.from(pointers.values());
+            return { distance: Math.hypot(a.x - b.x, a.y - b.y), x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 };
+        };
+
+        // Double-tap for touch and pen, double-click for the mouse: two short taps close
+        // together in time and place
+        const handleTap = (ended) => {
+            const settings = ended.type === 'mouse' ? gestures.doubleClick : gestures.doubleTap;
+            if (!settings || Date.now() - ended.time > settings.delay) {
+                lastTap = null;
+                return;
+            }
+
+            if (lastTap && lastTap.type === ended.type && ended.time - lastTap.time < settings.delay &&
+                Math.hypot(ended.x - lastTap.x, ended.y - lastTap.y) < tapSlop * 4) {
+                lastTap = null;
+                zoomOnDoubleTap(instance, settings, ended.x, ended.y, ended.type === 'mouse' ? 'double-click' : 'double-tap');
+            } else {
+                lastTap = ended;
+            }
+        };
+
+        listen(instance, element, 'pointerdown', (e) => {
+            if ((e.pointerType === 'mouse' && e.button !== 0) || pointers.size >= 2) return;
+
+            e.preventDefault();
+            stopGlide(instance);
+            try {
+                element.setPointerCapture(e.pointerId);
+            } catch (error) {
+                // Capture only keeps the gesture going outside the element; fine without it
+            }
+            pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+            if (pointers.size === 1) {
+                tap = { id: e.pointerId, type: e.pointerType, x: e.clientX, y: e.clientY, time: Date.now() };
+                if (gestures.longPress) {
+                    pressTimer = setTimeout(() => {
+                        pressTimer = null;
+                        tap = null;
+                        runLongPress(instance, gestures.longPress, e.clientX, e.clientY);
+                    }, gestures.longPress.delay);
+                }
+            } else {
+                // A second finger turns the gesture into a pinch
+                tap = null;
+                cancelPress();
+                pinchDistance = getPinch().distance;
+            }
+        });
+
+        listen(instance, element, 'pointermove', (e) => {
+            const pointer = pointers.get(e.pointerId);
+            if (!pointer) return;
+
+            const deltaX = e.clientX - pointer.x;
+            const deltaY = e.clientY - pointer.y;
+            pointer.x = e.clientX;
+            pointer.y = e.clientY;
+
+            if (tap && Math.hypot(e.clientX - tap.x, e.clientY - tap.y) > tapSlop) {
+                tap = null;
+                cancelPress();
+            }
+
+            if (pointers.size === 2) {
+                if (!gestures.pinch) return;
+
+                // Zoom around the midpoint, which itself moves by half of each finger's step
+                const pinch = getPinch();
+                if (pinchDistance > 0) {
+                    const scale = instance.panzoom.getScale() * pinch.distance / pinchDistance;
+                    zoomAtPoint(instance, scale, pinch.x, pinch.y, { source: 'pinch', hold: true });
+                }
+                if (gestures.pan) {
+                    panBy(instance, deltaX / 2, deltaY / 2, 'pinch');
+                }
+                pinchDistance = pinch.distance;
+            } else if (gestures.pan && panBy(instance, deltaX, deltaY, 'drag')) {
+                trackVelocity(velocity, deltaX, deltaY);
+            }
+        });
+
+        const release = (e) => {
+            if (!pointers.has(e.pointerId)) return;
+
+            pointers.delete(e.pointerId);
+            cancelPress();
+            // Lifting one finger of a pinch continues as a pan with the remaining one
+            if (pointers.size > 0) {
+                pinchDistance = 0;
+                return;
+            }
+
+            const ended = tap;
+            tap = null;
+            releaseDrag(instance, velocity);
+            if (ended && e.type === 'pointerup') {
+                handleTap(ended);
+            }
+        };
+        listen(instance, element, 'pointerup', release);
+        listen(instance, element, 'pointercancel', release);
+        listen(instance, element, 'lostpointercapture', release);
+    }
+
+    function initializeZoom(target, customOptions = {}) {
+        const options = { ...defaultOptions, ...customOptions };
+        const key = getKey(target);
+
+        // Remember the configuration so the object is set up again on every slide visit
+        if (options.watch) {
+            watchedConfigs.set(key, { target: getWatchTarget(target), options: customOptions });
+            startObserver();
+        }
+        
+        // Find Storyline elements (a watched object may simply not be on this slide yet)
+        const elements = findStorylineObject(target, options.watch);
+        if (!elements) return null;
+
+        // Avoid double registration: keep a live instance, drop one left on a detached slide
+        const existing = instances.get(key) || lookupInstance(elements.slideObject);
+        if (existing) {
+            if (existing.elements.slideObject === elements.slideObject) {
+                return existing.panzoom;
+            }
+            teardown(existing.key);
+        }
+
+        const { slideObject, accImage } = elements;
+        
+        // Store original states
+        const originalState = {
+            objectTransform: slideObject.style.transform,
+            transition: slideObject.style.transition,
+            transformOrigin: slideObject.style.transformOrigin,
+            width: slideObject.style.width,
+            height: slideObject.style.height,
+            zIndex: slideObject.style.zIndex
+        };
+
+        // The zoom is composed on top of whatever transform the object already has
+        const baseTransform = parseTransform(slideObject, originalState.objectTransform, key, { watch: options.watch });
+        if (!baseTransform) {
+            if (options.watch) {
+                watchPending(slideObject);
+            }
+            return null;
+        }
+
+        if (!modes.includes(options.mode)) {
+            console.warn(`StorylinePanzoom: Unknown mode "${options.mode}" for "${key}", using "overlay"`);
+            options.mode = 'overlay';
+        }
+        if (options.contain && !containModes.includes(options.contain)) {
+            console.warn(`StorylinePanzoom: Unknown contain "${options.contain}" for "${key}", using "outside"`);
+            options.contain = 'outside';
+        }
+        if (options.persist) {
+            options.persist = getPersistSettings(options.persist);
+        }
+        if (options.mode === 'loupe' && !getImageSource(elements.image)) {
+            console.error(`StorylinePanzoom: Can't use a loupe on "${key}": it has no picture`);
+            return null;
+        }
+
+        // Web objects swallow pointer input inside their iframe, so they get buttons by default
+        if (elements.type === 'webobject' && customOptions.controls === undefined) {
+            options.controls = true;
+        }
+
+        // Gather a group's children into one layer that zooms as a unit
+        if (elements.type === 'group') {
+            const layer = document.createElement('div');
+            layer.className = 'storyline-panzoom-content';
+            layer.style.position = 'absolute';
+            layer.style.left = '0';
+            layer.style.top = '0';
+            layer.style.width = '100%';
+            layer.style.height = '100%';
+            while (slideObject.firstChild) {
+                layer.appendChild(slideObject.firstChild);
+            }
+            slideObject.appendChild(layer);
+            elements.content = layer;
+        }
+
+        const { content } = elements;
+        originalState.contentTransform = content.style.transform;
+        originalState.contentTransformOrigin = content.style.transformOrigin;
+        originalState.contentTransition = content.style.transition;
+
+        // In clip mode the wrapper becomes a viewport with the object's original size, and
+        // the content layer zooms inside it instead of the whole shape growing over the slide
+        let wrapper = null;
+        if (options.mode === 'clip') {
+            wrapper = document.createElement('div');
+            wrapper.className = 'storyline-panzoom-wrapper';
+            wrapper.style.position = 'absolute';
+            wrapper.style.left = '0';
+            wrapper.style.top = '0';
+            wrapper.style.width = originalState.width;
+            wrapper.style.height = originalState.height;
+            wrapper.style.overflow = 'hidden';
+
+            content.parentNode.insertBefore(wrapper, content);
+            wrapper.appendChild(content);
+            content.style.transformOrigin = '50% 50%';
+        }
+
+        const instance = {
+            key,
+            panzoom: null,
+            elements,
+            originalState,
+            baseTransform,
+            appliedTransform: slideObject.style.transform,
+            transformObserver: null,
+            options,
+            wrapper,
+            target: options.mode === 'clip' ? content : slideObject,
+            rendered: { scale: 1, x: 0, y: 0 },
+            dragPan: null,
+            glide: null,
+            cleanup: [],
+            variableValues: null,
+            variableTimer: null,
+            interaction: null,
+            settleTimer: null,
+            hotspotIndex: -1,
+            tourTimer: null,
+            overlay: null,
+            controls: null,
+            minimap: null,
+            loupe: null,
+            metrics: null,
+            keyboard: null,
+            destroyed: false
+        };
+        
+        // Initialize Panzoom on the content div; gestures are handled below, so Panzoom
+        // only keeps the zoom state and must not bind its own pointer handlers
+        const panzoomInstance = Panzoom(content, {
+            ...options,
+            noBind: true,
+            // Panzoom's own contain measures the content div; bounds are enforced in setView
+            contain: null,
+            startScale: 1,
+            startX: 0,
+            startY: 0,
+            setTransform: (elem, { scale, x, y }, { animate, duration, easing }) => {
+                // Panzoom renders on the next frame, which may come after teardown
+                if (instance.destroyed) return;
+
+                // Panzoom only animates the content div; give the shape the same transition
+                if (options.mode === 'overlay' && typeof animate === 'boolean') {
+                    slideObject.style.transition = animate ? `transform ${duration}ms ${easing}` : 'none';
+                }
+
+                instance.rendered = { scale, x, y };
+                renderObject(instance);
+                
+                // Update acc-image position if needed
+                if (accImage) {
+                    accImage.style.transform = `scale(${scale})`;
+                    accImage.style.transformOrigin = '0 0';
+                }
+
+                if (instance.variableValues) {
+                    pushVariables(instance);
+                }
+                if (instance.controls) {
+                    updateControls(instance);
+                }
+                if (instance.minimap) {
+                    updateMinimap(instance);
+                }
+            }
+        });
+
+        instance.panzoom = panzoomInstance;
+        watchTransform(instance);
+
+        if (options.mode === 'loupe') {
+            createLoupe(instance);
+        } else if (options.lightbox) {
+            bindLightboxTrigger(instance);
+        } else {
+            bindGestures(instance, slideObject);
+        }
+
+        if (options.bindVariables) {
+            bindVariables(instance);
+        }
+        if (options.analytics) {
+            startMetrics(instance);
+        }
+        // The loupe has nothing to zoom in place, so it goes without buttons and zoom keys
+        if (options.controls && options.mode !== 'loupe') {
+            createControls(instance);
+        }
+        if (options.keyboard && options.mode !== 'loupe') {
+            enableKeyboard(instance);
+        }
+        if (options.minimap && options.mode !== 'loupe') {
+            createMinimap(instance);
+        }
+
+        // Store instance
+        instances.set(key, instance);
+        startObserver();
+
+        // Panzoom applies its start position on a timeout; restore the saved view and begin
+        // the tour after it
+        if (options.persist) {
+            setTimeout(() => restoreState(instance), 0);
+        }
+        if (options.autoplay && options.hotspots.length > 0) {
+            setTimeout(() => startTour(key), 0);
+        }
+
+        return panzoomInstance;
+    }
+
+    function zoomIn(target) {
+        const instance = lookupInstance(target);
+        if (!instance) return;
+
+        zoomBy(instance, 1, 'api');
+    }
+
+    function zoomOut(target) {
+        const instance = lookupInstance(target);
+        if (!instance) return;
+
+        zoomBy(instance, -1, 'api');
+    }
+
+    function resetView(instance, source) {
+        setView(instance, { scale: 1, x: 0, y: 0 }, { animate: true, source });
+        emit(instance, 'reset', source);
+    }
+
+    function reset(target) {
+        const instance = lookupInstance(target);
+        if (!instance) return;
+
+        resetView(instance, 'api');
+    }
+
+    function flyTo(instance, { x, y, scale, duration, easing }, source) {
+        const { panzoom, options } = instance;
+        const focus = getFocus(instance);
+        const toScale = clamp(scale === undefined ? panzoom.getScale() : scale, getScaleLimits(instance));
+        const time = duration === undefined ? options.duration : duration;
+
+        setView(instance, {
+            scale: toScale,
+            ...focusToPan(instance, x === undefined ? focus.x : x, y === undefined ? focus.y : y, toScale)
+        }, {
+            animate: time > 0,
+            duration: time,
+            easing: easing || options.easing,
+            source
+        });
+        return time;
+    }
+
+    // Fly to a point of the picture given in percent of its own size, so targets stay valid
+    // however the player is scaled; x/y default to the current focus point
+    function zoomTo(target, destination = {}) {
+        const instance = lookupInstance(target);
+        if (!instance) return;
+
+        flyTo(instance, destination, 'api');
+    }
+
+    // Fit a rectangle of the picture (in percent) into the object's frame
+    function zoomToRect(target, { x, y, width, height }, { duration, easing } = {}) {
+        zoomTo(target, {
+            x: x + width / 2,
+            y: y + height / 2,
+            scale: Math.min(100 / width, 100 / height),
+            duration,
+            easing
+        });
+    }
+
+    function showHotspot(instance, index) {
+        const hotspot = instance.options.hotspots[index];
+        const scale = hotspot.scale === undefined ? instance.options.hotspotScale : hotspot.scale;
+
+        instance.hotspotIndex = index;
+        const time = flyTo(instance, { ...hotspot, scale }, 'hotspot');
+        emit(instance, 'hotspot', 'hotspot', { hotspot, index });
+        return time;
+    }
+
+    // Move through the hotspots in declaration order; returns the fly-in time, or null at
+    // either end of the list when not looping
+    function stepHotspot(instance, direction, loop) {
+        const count = instance.options.hotspots.length;
+        if (count === 0) return null;
+
+        const current = instance.hotspotIndex < 0 ? (direction > 0 ? -1 : count) : instance.hotspotIndex;
+        let index = current + direction;
+        if (index < 0 || index >= count) {
+            if (!loop) return null;
+            index = (index + count) % count;
+        }
+        return showHotspot(instance, index);
+    }
+
+    function next(target) {
+        const instance = lookupInstance(target);
+        if (!instance) return;
+
+        stopTour(instance.key);
+        stepHotspot(instance, 1, instance.options.tourLoop);
+    }
+
+    function prev(target) {
+        const instance = lookupInstance(target);
+        if (!instance) return;
+
+        stopTour(instance.key);
+        stepHotspot(instance, -1, instance.options.tourLoop);
+    }
+
+    function goTo(target, id) {
+        const instance = lookupInstance(target);
+        if (!instance) return;
+
+        const index = instance.options.hotspots.findIndex(hotspot => hotspot.id === id);
+        if (index < 0) {
+            console.warn(`StorylinePanzoom: "${instance.key}" has no hotspot "${id}"`);
+            return;
+        }
+        stopTour(instance.key);
+        showHotspot(instance, index);
+    }
+
+    // Guided tour: show each hotspot, wait for the dwell time, move on to the next one
+    function startTour(target, { dwell, loop } = {}) {
+        const instance = lookupInstance(target);
+        if (!instance) return;
+
+        const { options } = instance;
+        const dwellTime = dwell === undefined ? options.tourDwell : dwell;
+        const looping = loop === undefined ? options.tourLoop : loop;
+
+        stopTour(instance.key);
+        const advance = () => {
+            const time = stepHotspot(instance, 1, looping);
+            instance.tourTimer = time === null ? null : setTimeout(advance, time + dwellTime);
+        };
+        advance();
+    }
+
+    function stopTour(target) {
+        const instance = lookupInstance(target);
+        if (!instance) return;
+
+        clearTimeout(instance.tourTimer);
+        instance.tourTimer = null;
+    }
+
+    // URL of a picture, whether it is an <img> or an SVG <image>
+    function getImageSource(image) {
+        if (!image) return '';
+        return image.getAttribute('href') || image.getAttribute('xlink:href') || image.currentSrc || image.src || '';
+    }
+
+    // Copy of what the object shows for the lightbox: its picture as an image, or for groups
+    // and pictureless shapes the whole drawing scaled up to the stage
+    function cloneForLightbox(elements, width, height, fit) {
+        const { image, slideObject, type } = elements;
+        const source = type !== 'group' && getImageSource(image);
+
+        if (source) {
+            const picture = document.createElement('img');
+            picture.src = source;
+            picture.alt = '';
+            picture.draggable = false;
+            return picture;
+        }
+        if (type === 'video' || type === 'webobject') return null;
+
+        const layer = document.createElement('div');
+        const drawing = document.createElement('div');
+        layer.className = 'storyline-panzoom-content';
+        layer.style.width = '100%';
+        layer.style.height = '100%';
+        drawing.style.width = `${width}px`;
+        drawing.style.height = `${height}px`;
+        drawing.style.transform = `scale(${fit})`;
+        drawing.style.transformOrigin = '0 0';
+        Array.from(slideObject.childNodes).forEach(child => drawing.appendChild(child.cloneNode(true)));
+
+        // The copy must not be found by lookups or reached by the keyboard
+        drawing.querySelectorAll('[id], [data-acc-text], [data-model-id], [tabindex]').forEach(element => {
+            ['id', 'data-acc-text', 'data-model-id', 'tabindex'].forEach(name => element.removeAttribute(name));
+        });
+        drawing.setAttribute('aria-hidden', 'true');
+        layer.appendChild(drawing);
+        return layer;
+    }
+
+    // Keep Tab inside the lightbox while it is open
+    function trapFocus(dialog, e) {
+        const focusables = Array.from(dialog.querySelectorAll('button:not([disabled]), [tabindex="0"]'));
+        const first = focusables[0];
+        const last = focusables[focusables.length - 1];
+
+        if (e.shiftKey && document.activeElement === first) {
+            last.focus();
+            e.preventDefault();
+        } else if (!e.shiftKey && document.activeElement === last) {
+            first.focus();
+            e.preventDefault();
+        }
+    }
+
+    // Show the object in a modal above the player with its own pan and zoom, for
+    // thumbnails that are too small to zoom in place
+    function openLightbox(target, customOptions = {}) {
+        const source = lookupInstance(target);
+        const elements = source ? source.elements : findStorylineObject(target);
+        if (!elements) return null;
+
+        closeLightbox();
+
+        const key = source ? source.key : getKey(target);
+        const options = { ...defaultOptions, ...(source ? source.options : {}), ...customOptions };
+        const width = parseFloat(elements.slideObject.style.width) || elements.slideObject.offsetWidth;
+        const height = parseFloat(elements.slideObject.style.height) || elements.slideObject.offsetHeight;
+        const fit = Math.min(window.innerWidth * 0.9 / width, window.innerHeight * 0.9 / height) || 1;
+        const copy = cloneForLightbox(elements, width, height, fit);
+        if (!copy) {
+            console.error(`StorylinePanzoom: "${key}" has no picture to show in a lightbox`);
+            return null;
+        }
+
+        injectStyles();
+        const label = source ? getLabel(source) : (elements.accText || key);
+        const dialog = document.createElement('div');
+        dialog.className = 'storyline-panzoom-lightbox';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-label', label);
+
+        // The stage and the controls layer sit on the same centred rectangle
+        const frame = (element, className) => {
+            element.className = className;
+            element.style.width = `${width * fit}px`;
+            element.style.height = `${height * fit}px`;
+            element.style.left = `${(window.innerWidth - width * fit) / 2}px`;
+            element.style.top = `${(window.innerHeight - height * fit) / 2}px`;
+            dialog.appendChild(element);
+            return element;
+        };
+        const stage = frame(document.createElement('div'), 'storyline-panzoom-lightbox-stage');
+        const overlay = frame(document.createElement('div'), 'storyline-panzoom-overlay');
+        stage.appendChild(copy);
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'storyline-panzoom-lightbox-close';
+        closeButton.textContent = '\u00d7';
+        closeButton.setAttribute('aria-label', 'Close');
+        closeButton.title = 'Close';
+        closeButton.addEventListener('click', closeLightbox);
+        dialog.appendChild(closeButton);
+
+        // Focus returns to whatever opened the lightbox, or else to the object itself
+        const active = document.activeElement;
+        const returnFocus = active && active !== document.body ? active
+            : (elements.slideObject.hasAttribute('tabindex') ? elements.slideObject : null);
+        document.body.appendChild(dialog);
+
+        // Zooms inside the stage like clip mode; events go to the object's listeners
+        const instance = {
+            key,
+            panzoom: null,
+            elements: { type: elements.type, slideObject: stage, content: copy, accImage: null, accText: label },
+            originalState: { width: stage.style.width, height: stage.style.height, contentTransform: '' },
+            baseTransform: { value: '', a: 1, b: 0, c: 0, d: 1, e: 0, f: 0 },
+            options: { ...options, mode: 'clip', lightbox: false, persist: false, hotspots: [], controls: options.controls || true },
+            // Looking at the larger view counts towards the object's engagement
+            metrics: source ? source.metrics : null,
+            target: copy,
+            rendered: { scale: 1, x: 0, y: 0 },
+            dragPan: null,
+            glide: null,
+            cleanup: [],
+            interaction: null,
+            settleTimer: null,
+            hotspotIndex: -1,
+            tourTimer: null,
+            overlay,
+            controls: null,
+            minimap: null,
+            keyboard: null,
+            destroyed: false
+        };
+
+        copy.style.transformOrigin = '50% 50%';
+        instance.panzoom = Panzoom(copy, {
+            ...instance.options,
+            noBind: true,
+            contain: null,
+            startScale: 1,
+            startX: 0,
+            startY: 0,
+            setTransform: (elem, { scale, x, y }) => {
+                if (instance.destroyed) return;
+
+                instance.rendered = { scale, x, y };
+                renderObject(instance);
+                if (instance.controls) {
+                    updateControls(instance);
+                }
+                if (instance.minimap) {
+                    updateMinimap(instance);
+                }
+            }
+        });
+
+        bindGestures(instance, stage);
+        createControls(instance);
+        enableKeyboard(instance);
+        if (instance.options.minimap) {
+            createMinimap(instance);
+        }
+
+        dialog.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                closeLightbox();
+            } else if (e.key === 'Tab') {
+                trapFocus(dialog, e);
+            }
+            // The player underneath must not react to keys meant for the lightbox
+            e.stopPropagation();
+        });
+        dialog.addEventListener('click', (e) => {
+            if (e.target === dialog) {
+                closeLightbox();
+            }
+        });
+
+        stage.focus();
+        lightbox = { instance, dialog, returnFocus, source, slideObject: elements.slideObject };
+        return instance.panzoom;
+    }
+
+    function closeLightbox() {
+        if (!lightbox) return;
+
+        const { instance, dialog, returnFocus, source } = lightbox;
+        lightbox = null;
+        // A zoomstart from the larger view still gets its zoomend
+        endInteraction(instance);
+        // Zoomed time in the larger view ends with it; the object's own zoom counts again
+        if (instance.metrics) {
+            if (instance.metrics.zoomedSince !== null) {
+                instance.metrics.timeZoomed += Date.now() - instance.metrics.zoomedSince;
+                instance.metrics.zoomedSince = null;
+            }
+            if (!source.destroyed) {
+                trackView(source);
+            }
+        }
+        instance.destroyed = true;
+        instance.panzoom.destroy();
+        instance.panzoom.resetStyle();
+        instance.cleanup.forEach(remove => remove());
+        stopGlide(instance);
+        dialog.remove();
+
+        if (returnFocus && returnFocus.isConnected) {
+            returnFocus.focus();
+        }
+    }
+
+    // Magnifying lens that follows the pointer or finger over the object and shows its
+    // picture at maxScale, without moving or resizing anything on the slide
+    function createLoupe(instance) {
+        const { slideObject, image } = instance.elements;
+        const settings = { size: 160, shape: 'circle', ...instance.options.loupe };
+        const shape = loupeShapes.includes(settings.shape) ? settings.shape : 'circle';
+        const { width, height } = getFrame(instance);
+        const magnification = instance.options.maxScale;
+
+        const lens = document.createElement('div');
+        lens.className = `storyline-panzoom-loupe storyline-panzoom-loupe--${shape} ${settings.className || ''}`.trim();
+        lens.style.width = `${settings.size}px`;
+        lens.style.height = `${settings.size}px`;
+        lens.style.backgroundImage = `url("${getImageSource(image)}")`;
+        lens.style.backgroundSize = `${width * magnification}px ${height * magnification}px`;
+        lens.setAttribute('aria-hidden', 'true');
+        getOverlay(instance).appendChild(lens);
+
+        // Fingers would cover a lens centred on them, so on touch it floats above the finger
+        const show = (clientX, clientY, lift) => {
+            const { origin } = getFrame(instance);
+            const local = clientToLocal(instance, clientX, clientY);
+            const pointX = origin.x + local.x;
+            const pointY = origin.y + local.y;
+            if (pointX < 0 || pointY < 0 || pointX > width || pointY > height) {
+                hide();
+                return;
+            }
+
+            const rect = instance.overlay.getBoundingClientRect();
+            const playerScale = getPlayerScale(slideObject);
+            const half = settings.size / 2;
+            lens.style.left = `${(clientX - rect.left) / playerScale - half}px`;
+            lens.style.top = `${(clientY - rect.top) / playerScale - half - (lift ? settings.size * 0.75 : 0)}px`;
+            lens.style.backgroundPosition = `${half - pointX * magnification}px ${half - pointY * magnification}px`;
+            lens.style.display = 'block';
+        };
+        const hide = () => {
+            lens.style.display = 'none';
+        };
+
+        // A mouse hovers; touch and pen show the lens while they are down
+        const follow = (e) => {
+            if (e.pointerType === 'mouse' || e.buttons) {
+                show(e.clientX, e.clientY, e.pointerType === 'touch');
+            }
+        };
+        const lift = (e) => {
+            if (e.pointerType !== 'mouse') {
+                hide();
+            }
+        };
+        listen(instance, slideObject, 'pointerdown', follow);
+        listen(instance, slideObject, 'pointermove', follow);
+        listen(instance, slideObject, 'pointerup', lift);
+        listen(instance, slideObject, 'pointercancel', hide);
+        listen(instance, slideObject, 'pointerleave', hide);
+        instance.loupe = lens;
+    }
+
+    // With the lightbox option a click opens the larger view instead of zooming in place
+    function bindLightboxTrigger(instance) {
+        listen(instance, instance.elements.slideObject, 'click', () => openLightbox(instance.key));
+    }
+
+    function teardown(key) {
+        const instance = instances.get(key);
+        if (!instance) return;
+
+        if (lightbox && lightbox.slideObject === instance.elements.slideObject) {
+            closeLightbox();
+        }
+        // Leaving the slide is when an object's engagement is complete
+        if (instance.metrics && instance.options.analytics.reporter) {
+            report(key);
+        }
+        // destroy() only unbinds; resetStyle() drops the cursor, overflow, user-select and
+        // touch-action Panzoom wrote on the content and its parent
+        instance.panzoom.destroy();
+        instance.panzoom.resetStyle();
+        instance.destroyed = true;
+        instance.transformObserver.disconnect();
+        instance.cleanup.forEach(remove => remove());
+        stopGlide(instance);
+        clearInterval(instance.variableTimer);
+        clearTimeout(instance.settleTimer);
+        clearTimeout(instance.tourTimer);
+
+        // Reset original transforms
+        const { wrapper, elements, originalState } = instance;
+        elements.slideObject.style.transform = originalState.objectTransform;
+        elements.slideObject.style.transition = originalState.transition;
+        elements.content.style.transform = originalState.contentTransform;
+        elements.content.style.transformOrigin = originalState.contentTransformOrigin;
+        elements.content.style.transition = originalState.contentTransition;
+        if (elements.accImage) {
+            elements.accImage.style.transform = '';
+            elements.accImage.style.transformOrigin = '';
+        }
+
+        if (instance.overlay) {
+            instance.overlay.remove();
+        }
+        if (instance.keyboard) {
+            disableKeyboard(instance);
+        }
+
+        // Put the content layer back where Storyline had it
+        if (wrapper) {
+            wrapper.parentNode.insertBefore(elements.content, wrapper);
+            wrapper.remove();
+        }
+        if (elements.type === 'group') {
+            while (elements.content.firstChild) {
+                elements.slideObject.insertBefore(elements.content.firstChild, elements.content);
+            }
+            elements.content.remove();
+        }
+        instances.delete(key);
+
+        if (instances.size === 0 && watchedConfigs.size === 0 && !declaredDefaults) {
+            stopObserver();
+        }
+    }
+
+    function destroy(target) {
+        const instance = lookupInstance(target);
+        const key = instance ? instance.key : getKey(target);
+
+        // An explicit destroy also stops the object from being re-initialized later
+        watchedConfigs.delete(key);
+        reportedTransforms.delete(key);
+        teardown(key);
+    }
+
+    // Watch the slide container so instances follow Storyline's slide changes
+    function startObserver() {
+        if (slideObserver || typeof MutationObserver === 'undefined' || !document.body) return;
+
+        slideObserver = new MutationObserver(handleMutations);
+        slideObserver.observe(document.body, { childList: true, subtree: true });
+    }
+
+    // Every change syncs the instances, but things like the controls readout updating don't
+    // need the initAll rescan
+    function handleMutations(mutations) {
+        if (!contentAdded) {
+            contentAdded = mutations.some(mutation => Array.from(mutation.addedNodes).some(node =>
+                node instanceof Element && (node.matches('[data-acc-text]') || node.querySelector('[data-acc-text]') !== null)));
+        }
+        scheduleSync();
+    }
+
+    // Retry a watched object once its transform changes, e.g. when its animation settles
+    function watchPending(element) {
+        if (typeof MutationObserver === 'undefined') return;
+
+        if (!pendingObserver) {
+            pendingObserver = new MutationObserver(scheduleSync);
+        }
+        pendingObserver.observe(element, { attributes: true, attributeFilter: ['style'] });
+    }
+
+    function stopObserver() {
+        if (pendingObserver) {
+            pendingObserver.disconnect();
+        }
+        if (!slideObserver) return;
+
+        slideObserver.disconnect();
+        slideObserver = null;
+    }
+
+    function scheduleSync() {
+        // Storyline replaces a slide in many small mutations; handle them once per frame
+        if (syncPending) return;
+        syncPending = true;
+        requestAnimationFrame(() => {
+            syncPending = false;
+            syncInstances();
+        });
+    }
+
+    function syncInstances() {
+        // Destroy instances whose objects left the DOM with the previous slide
+        Array.from(instances.keys()).forEach(key => {
+            if (!instances.get(key).elements.slideObject.isConnected) {
+                teardown(key);
+            }
+        });
+
+        // Re-apply saved configurations to objects that have (re)appeared; those still not
+        // ready are observed again by initializeZoom
+        if (pendingObserver) {
+            pendingObserver.disconnect();
+        }
+        watchedConfigs.forEach(({ target, options }, key) => {
+            if (!instances.has(key) && findStorylineObject(target, true)) {
+                initializeZoom(target, options);
+            }
+        });
+        if (declaredDefaults && contentAdded) {
+            contentAdded = false;
+            initAllObjects(declaredDefaults);
+        }
+    }
+
+    // Initialize when Storyline loads
+
+
+    function parseTagValue(value) {
+        if (value === undefined || /^(true|on|yes)$/i.test(value)) return true;
+        if (/^(false|off|no)$/i.test(value)) return false;
+        if (value !== '' && !isNaN(value)) return Number(value);
+        return value;
+    }
+
+    // "Lion [zoom max=4 double-tap=3 controls=top-right]" gives the name "Lion" and its
+    // options; keys are option or gesture names in kebab-case, a bare key means true
+    function parseZoomTag(text) {
+        const match = zoomTag.exec(text);
+        if (!match) return null;
+
+        const options = {};
+        (match[1] || '').split(/\s+/).filter(Boolean).forEach((token) => {
+            const [name, raw] = token.split('=');
+            const key = tagAliases[name] || name.replace(/-(\w)/g, (dash, letter) => letter.toUpperCase());
+            const value = parseTagValue(raw);
+            const group = Object.keys(tagGroups).find(prefix => key.startsWith(prefix) && key !== prefix);
+            const current = typeof options[group || key] === 'object' ? options[group || key] : {};
+
+            if (key in defaultGestures) {
+                options.gestures = { ...options.gestures, [key]: value };
+            } else if (group) {
+                const setting = key.charAt(group.length).toLowerCase() + key.slice(group.length + 1);
+                options[group] = { ...current, [setting]: value };
+            } else if (tagGroups[key] && typeof value === 'string') {
+                options[key] = { ...current, [tagGroups[key]]: value };
+            } else if (key in defaultOptions) {
+                options[key] = value;
+            } else {
+                console.warn(`StorylinePanzoom: Unknown setting "${name}" in "${text}"`);
+            }
+        });
+
+        return { name: text.slice(0, match.index).trim(), options };
+    }
+
+    // Screen readers should hear "Lion", not the setup instructions
+    function stripZoomTag(text, name) {
+        findByAttribute('[data-acc-text]', 'data-acc-text', text).forEach(element => element.setAttribute('data-acc-text', name));
+        findByAttribute('[aria-label]', 'aria-label', text).forEach(element => element.setAttribute('aria-label', name));
+        findByAttribute('img[alt]', 'alt', text).forEach(element => element.setAttribute('alt', name));
+    }
+
+    // Text boxes starting with [zoom-config]; their JSON maps objects to options, e.g.
+    // { "Lion": { "maxScale": 4 }, "Engine": { "hotspots": [...] }, "Map": true }
+    function readConfigBlocks() {
+        const texts = new Set(Array.from(document.querySelectorAll('[data-acc-text]'))
+            .map(element => element.getAttribute('data-acc-text').trim())
+            .filter(text => text.startsWith(configMarker)));
+
+        return Array.from(texts).map((text) => {
+            // The config is not content; keep it away from screen readers
+            findByAttribute('[aria-label]', 'aria-label', text).forEach(element => element.setAttribute('aria-hidden', 'true'));
+
+            if (!configBlocks.has(text)) {
+                configBlocks.set(text, parseConfigBlock(text));
+            }
+            return configBlocks.get(text);
+        });
+    }
+
+    function parseConfigBlock(text) {
+        // Storyline's autocorrect turns straight quotes into curly ones
+        const json = text.slice(configMarker.length)
+            .replace(/[\u201c\u201d]/g, '"')
+            .replace(/[\u2018\u2019]/g, '\'');
+        try {
+            return JSON.parse(json);
+        } catch (e) {
+            console.error(`StorylinePanzoom: Could not read the ${configMarker} text box:`, e.message);
+            return {};
+        }
+    }
+
+    // Enable the objects that opted in through a [zoom] tag or a [zoom-config] text box,
+    // with the given options as defaults. With watch, every slide is scanned as it appears,
+    // and each object is watched like init(..., { watch: true }), so one that can't be zoomed
+    // yet (mid entrance animation) is retried with the options its stripped tag gave.
+    function initAllObjects(defaults = {}) {
+        const { watch, ...shared } = defaults;
+        const declared = new Map();
+        const merge = (target, options) => {
+            declared.set(target, { ...declared.get(target), ...(options === true ? {} : options) });
+        };
+
+        if (watch) {
+            declaredDefaults = defaults;
+            startObserver();
+        }
+
+        readConfigBlocks().forEach((config) => {
+            Object.keys(config).forEach(target => merge(target, config[target]));
+        });
+
+        const tagged = new Set(Array.from(document.querySelectorAll('[data-acc-text]'))
+            .map(element => element.getAttribute('data-acc-text'))
+            .filter(text => zoomTag.test(text)));
+        tagged.forEach((text) => {
+            const { name, options } = parseZoomTag(text);
+            stripZoomTag(text, name);
+            merge(name, options);
+        });
+
+        // Config blocks may name objects of other slides; live objects need no second look
+        const enabled = [];
+        declared.forEach((options, target) => {
+            if (instances.has(target) ||
+                (findStorylineObject(target, true) && initializeZoom(target, { ...shared, ...options, watch: Boolean(watch) }))) {
+                enabled.push(target);
+            }
+        });
+        return enabled;
+    }
+
+    return {
+        init: initializeZoom,
+        reset: reset,
+        zoomIn: zoomIn,
+        zoomOut: zoomOut,
+        destroy: destroy,
+        initAll: initAllObjects,
+        zoomTo: zoomTo,
+        zoomToRect: zoomToRect,
+        next: next,
+        prev: prev,
+        goTo: goTo,
+        startTour: startTour,
+        stopTour: stopTour,
+        openLightbox: openLightbox,
+        closeLightbox: closeLightbox,
+        on: on,
+        off: off,
+        getMetrics: getMetrics,
+        report: report,
+        getInstance: (target) => lookupInstance(target)?.panzoom,
+        version: version
+    };
+})();
+
+/* Guide
+StorylinePanzoom.init('Lion', {
+    maxScale: 4,
+    minScale: 1
+});
+
+// From a master slide trigger: set up 'Lion' on every slide it appears on
+StorylinePanzoom.init('Lion', {
+    maxScale: 4,
+    watch: true
+});
+
+// Zoom inside the object's own rectangle instead of growing over the slide
+StorylinePanzoom.init('Lion', {
+    mode: 'clip'
+});
+
+// Keep the zoomed picture covering its frame; drags past the edge spring back
+StorylinePanzoom.init('Lion', {
+    mode: 'clip',
+    contain: 'outside',
+    elastic: true
+});
+
+// Same pan limits, but the picture may also shrink to half size, staying inside its frame
+StorylinePanzoom.init('Lion', { contain: 'inside', minScale: 0.5 });
+
+// Mirror the zoom into Storyline variables (MapPanX/MapPanY: point at the centre, in %)
+// and zoom/pan whenever a trigger changes them
+StorylinePanzoom.init('Map', {
+    bindVariables: { scale: 'MapZoom', x: 'MapPanX', y: 'MapPanY' }
+});
+
+// React to the learner's zooming, e.g. unlock Next once a detail was inspected
+StorylinePanzoom.on('Lion', 'zoomend', ({ scale, source }) => {
+    if (scale >= 3) GetPlayer().SetVar('LionInspected', true);
+});
+StorylinePanzoom.init('Lion', {
+    onReset: ({ source }) => console.log('Reset by', source)
+});
+
+// Fly to the valve at 60%,40% of the picture at 3x, or fit a region of it
+StorylinePanzoom.zoomTo('Engine', { x: 60, y: 40, scale: 3, duration: 600 });
+StorylinePanzoom.zoomToRect('Engine', { x: 50, y: 30, width: 25, height: 20 });
+
+// Guided tour through named points of interest
+StorylinePanzoom.init('Engine', {
+    hotspots: [
+        { id: 'valve', x: 60, y: 40, scale: 3, label: 'Intake valve' },
+        { id: 'piston', x: 35, y: 70, label: 'Piston' }
+    ],
+    autoplay: true,
+    tourDwell: 4000,
+    onHotspot: ({ hotspot }) => GetPlayer().SetVar('EngineLabel', hotspot.label)
+});
+StorylinePanzoom.next('Engine');
+StorylinePanzoom.goTo('Engine', 'piston');
+
+// On-screen zoom buttons for learners without a wheel or touch screen
+StorylinePanzoom.init('Lion', {
+    controls: {
+        position: 'top-right',
+        theme: { background: '#1f3a5f', accent: '#f2a900', radius: '14px' }
+    }
+});
+
+// Keyboard support (+ / - / 0 / arrows) and zoom announcements are on by default
+StorylinePanzoom.init('Lion', {
+    keyboard: true,
+    announce: true
+});
+
+// Other ways to point at an object: Storyline object id, selector, element
+StorylinePanzoom.init({ id: '6Xk2bFhQ9vA' });
+StorylinePanzoom.init('.slide-object[data-acc-text^="Diagram"]');
+StorylinePanzoom.init(document.querySelector('[data-model-id="6Xk2bFhQ9vA"]'));
+
+// Pictures, videos and web objects zoom too; a group zooms as one unit so its
+// overlaid labels stay on the diagram
+StorylinePanzoom.init('Wiring diagram with labels', { mode: 'clip' });
+
+// Small thumbnails: click (or Enter) opens a larger zoomable view; Escape closes it
+StorylinePanzoom.init('Lion thumbnail', { lightbox: true });
+StorylinePanzoom.openLightbox('Lion thumbnail');
+StorylinePanzoom.closeLightbox();
+
+// Magnifying glass over a dense schematic; the slide itself does not move
+StorylinePanzoom.init('Schematic', {
+    mode: 'loupe',
+    maxScale: 3,
+    loupe: { size: 200, shape: 'rounded' }
+});
+
+// Navigator thumbnail with the visible area; drag it or click to jump
+StorylinePanzoom.init('Map', {
+    maxScale: 5,
+    minimap: { position: 'bottom-left', size: 140 }
+});
+
+// Tune gestures per object: let the wheel scroll the slide unless Ctrl is held, step in
+// on each double-tap, reset on a long press
+StorylinePanzoom.init('Lion', {
+    gestures: {
+        wheel: 'ctrl',
+        doubleTap: { mode: 'step', delay: 350 },
+        doubleClick: 3,
+        longPress: { delay: 800, action: 'reset' }
+    }
+});
+
+// Let a flicked picture glide on and slow down (friction closer to 1 glides further)
+StorylinePanzoom.init('Map', {
+    inertia: { friction: 0.9 }
+});
+
+// Come back to the same view on a later visit: per browser tab, per browser, or in a
+// Storyline text variable so it travels with the LMS suspend data
+StorylinePanzoom.init('Lion', { persist: true });
+StorylinePanzoom.init('Lion', { persist: 'local' });
+StorylinePanzoom.init('Lion', { persist: { variable: 'ZoomState' } });
+
+// Engagement tracking: time zoomed, deepest zoom, regions seen on a 4x4 grid, gestures.
+// Reported when the learner leaves the slide, or on demand from a trigger.
+StorylinePanzoom.init('Engine', {
+    analytics: {
+        grid: 4,
+        reporter: { type: 'xapi', endpoint: 'https://lrs.example.com/xapi/', auth: 'Basic ...' }
+    }
+});
+StorylinePanzoom.init('Lion', { analytics: { reporter: { type: 'variable', variable: 'LionMetrics' } } });
+StorylinePanzoom.init('Map', { analytics: { reporter: metrics => console.log(metrics) } });
+StorylinePanzoom.getMetrics('Engine');
+StorylinePanzoom.report('Engine');
+
+// No JavaScript per object: give it alt text like "Lion [zoom max=4 double-tap=3]", or add
+// a hidden text box with "[zoom-config]" and JSON, then run once (e.g. on the master slide)
+//   [zoom-config] { "Engine": { "mode": "clip", "hotspots": [...] }, "Map": true }
+StorylinePanzoom.initAll({ watch: true });
+
+// Any call made before Panzoom is available is queued and runs once it is. Without the embedded
+// copy (storylinepanzoom.core.js), Panzoom is loaded from story_content/panzoom.js unless told otherwise.
+StorylinePanzoom.ready({ panzoomUrl: 'story_content/lib/panzoom.min.js', timeout: 5000 })
+    .then(api => api.init('Lion'))
+    .catch(error => console.error(error));*/
+
+// Readiness: calls made before Panzoom is available are queued and run in order once it is.
+// Panzoom comes embedded in the bundle, from another script on the page, or is loaded on demand.
+const StorylinePanzoomLoader = (function() {
+    const defaults = {
+        // Resolved against the published story (story.html), next to Storyline's own story_content files
+        panzoomUrl: 'story_content/panzoom.js',
+        timeout: 10000
+    };
+    const queue = [];
+    let settings = { ...defaults };
+    let loading = null;
+    let isReady = typeof Panzoom === 'function';
+
+    // Queued calls keep their order: nothing runs directly until the queue has been flushed
+    function checkReady() {
+        if (!isReady && queue.length === 0 && typeof Panzoom === 'function') {
+            isReady = true;
+        }
+        return isReady;
+    }
+
+    function executeQueue() {
+        while (queue.length > 0) {
+            const call = queue.shift();
+            try {
+                StorylinePanzoom[call.method](...call.args);
+            } catch (e) {
+                console.error(`StorylinePanzoom: Queued ${call.method}() failed:`, e);
+            }
+        }
+    }
+
+    function loadPanzoom() {
+        return new Promise((resolve, reject) => {
+            const url = new URL(settings.panzoomUrl, document.baseURI).href;
+            const script = document.createElement('script');
+            // Panzoom may also arrive from another trigger or URL, so a failed request only
+            // decides the error message: the global is awaited until the timeout either way
+            let problem = `timed out after ${settings.timeout} ms`;
+            const poll = setInterval(check, 100);
+            const timer = setTimeout(() => {
+                clearInterval(poll);
+                script.remove();
+                reject(new Error(`StorylinePanzoom: Could not load Panzoom from ${url}: ${problem}`));
+            }, settings.timeout);
+
+            function check() {
+                if (typeof Panzoom === 'function') {
+                    clearInterval(poll);
+                    clearTimeout(timer);
+                    resolve();
+                }
+            }
+
+            script.onload = () => {
+                // An AMD loader on the page makes Panzoom's UMD build register there instead of globally
+                problem = 'the script did not define a global Panzoom';
+                check();
+            };
+            script.onerror = () => {
+                problem = 'the request failed';
+            };
+            script.async = true;
+            script.src = url;
+            document.head.appendChild(script);
+        });
+    }
+
+    function start() {
+        const promise = (checkReady() || typeof Panzoom === 'function' ? Promise.resolve() : loadPanzoom())
+            .then(() => {
+                isReady = true;
+                executeQueue();
+                return StorylinePanzoomApi;
+            }, (error) => {
+                if (queue.length > 0) {
+                    console.error(`StorylinePanzoom: Dropped ${queue.length} call(s) queued before loading failed`);
+                    queue.length = 0;
+                }
+                // A later ready() tries again, e.g. with another panzoomUrl
+                loading = null;
+                throw error;
+            });
+        // Reported here so a failure is never silent; callers of ready() still get the rejection
+        promise.catch(error => console.error(error.message));
+        loading = promise;
+        return promise;
+    }
+
+    // StorylinePanzoom.ready({ panzoomUrl, timeout }) resolves with the API once Panzoom is available
+    function ready(options) {
+        if (options && !isReady) {
+            if (loading) {
+                console.warn('StorylinePanzoom: ready() options are ignored while Panzoom is already loading');
+            } else {
+                const timeout = Number(options.timeout);
+                settings = {
+                    panzoomUrl: typeof options.panzoomUrl === 'string' ? options.panzoomUrl : settings.panzoomUrl,
+                    timeout: timeout > 0 ? timeout : settings.timeout
+                };
+            }
+        }
+        return loading || start();
+    }
+
+    function call(method, args) {
+        if (checkReady()) {
+            return StorylinePanzoom[method](...args);
+        }
+        queue.push({ method, args });
+        if (!loading) {
+            start();
+        }
+        return null;
+    }
+
+    return {
+        ready: ready,
+        call: call
+    };
+})();
+
+// Proxy that queues API calls until the library is ready; the build publishes it as the
+// StorylinePanzoom global or module export
+const StorylinePanzoomApi = new Proxy({}, {
+    get: function(target, prop) {
+        if (prop === 'ready') {
+            return StorylinePanzoomLoader.ready;
+        }
+        // Plain values such as version pass through; unknown names stay undefined so the API
+        // is not mistaken for a thenable when ready() resolves with it
+        if (typeof StorylinePanzoom[prop] !== 'function') {
+            return StorylinePanzoom[prop];
+        }
+        return function(...args) {
+            return StorylinePanzoomLoader.call(prop, args);
+        };
+    }
+});
@@ -0,0 +1,136 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const http = require('http');
+const { createStory, shape, wait } = require('./helpers');
+
+// Stand-in LRS on a local port: records each request and answers with the given status
+async function startLrs(t, status = 200) {
+    const requests = [];
+    const server = http.createServer((request, response) => {
+        let body = '';
+        request.on('data', chunk => { body += chunk; });
+        request.on('end', () => {
+            requests.push({ method: request.method, url: request.url, headers: request.headers, body });
+            response.writeHead(status, { 'Content-Type': 'application/json' });
+            response.end(status < 300 ? '["statement-id"]' : '{"error":"rejected"}');
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => new Promise(resolve => server.close(resolve)));
+
+    return { requests, endpoint: `http://127.0.0.1:${server.address().port}/xapi` };
+}
+
+async function received(requests, count = 1) {
+    for (let attempt = 0; attempt < 50 && requests.length < count; attempt++) {
+        await wait(20);
+    }
+    assert.strictEqual(requests.length, count);
+    return requests[count - 1];
+}
+
+test('sends an interacted statement with the metrics to the LRS', async (t) => {
+    const lrs = await startLrs(t);
+    const window = createStory(t, shape('Engine'), { fetch });
+    const { StorylinePanzoom } = window;
+    const actor = { objectType: 'Agent', mbox: 'mailto:learner@example.com', name: 'Learner' };
+
+    StorylinePanzoom.init('Engine', {
+        analytics: { grid: 2, reporter: { type: 'xapi', endpoint: lrs.endpoint, auth: 'Basic dGVzdDp0ZXN0', actor } }
+    });
+    await wait(0);
+    StorylinePanzoom.zoomTo('Engine', { scale: 3, x: 25, y: 25, duration: 0 });
+    await wait(150);
+
+    // Plain copy: the page's arrays belong to another realm
+    const metrics = JSON.parse(JSON.stringify(StorylinePanzoom.report('Engine')));
+    const request = await received(lrs.requests);
+
+    assert.strictEqual(request.method, 'POST');
+    assert.strictEqual(request.url, '/xapi/statements');
+    assert.strictEqual(request.headers['x-experience-api-version'], '1.0.3');
+    assert.strictEqual(request.headers.authorization, 'Basic dGVzdDp0ZXN0');
+    assert.strictEqual(request.headers['content-type'], 'application/json');
+
+    const statement = JSON.parse(request.body);
+    assert.deepStrictEqual(statement.actor, actor);
+    assert.strictEqual(statement.verb.id, 'http://adlnet.gov/expapi/verbs/interacted');
+    assert.strictEqual(statement.object.id, 'https://example.com/story.html#Engine');
+    assert.deepStrictEqual(statement.object.definition.name, { 'en-US': 'Engine' });
+    assert.match(statement.result.duration, /^PT\d+(\.\d)?S$/);
+    assert.ok(Date.parse(statement.timestamp));
+
+    const extensions = statement.result.extensions;
+    assert.strictEqual(extensions['urn:storyline-panzoom:max-scale'], 3);
+    assert.deepStrictEqual(extensions['urn:storyline-panzoom:regions'], metrics.regions);
+    assert.strictEqual(extensions['urn:storyline-panzoom:regions-visited'], metrics.regionsVisited);
+    assert.strictEqual(extensions['urn:storyline-panzoom:coverage'], metrics.coverage);
+    assert.deepStrictEqual(extensions['urn:storyline-panzoom:gestures'], metrics.gestures);
+    assert.deepStrictEqual(metrics.regions, [0]);
+
+    // Tearing the object down reports once more
+    StorylinePanzoom.destroy('Engine');
+    await received(lrs.requests, 2);
+});
+
+test('takes endpoint, auth and actor from the xAPI launch parameters', async (t) => {
+    const lrs = await startLrs(t);
+    const actor = { objectType: 'Agent', account: { homePage: 'https://lms.example.com', name: '42' } };
+    const query = new URLSearchParams({ endpoint: lrs.endpoint, auth: 'Basic bGF1bmNo', actor: JSON.stringify(actor) });
+    const window = createStory(t, shape('Engine'), { fetch }, `https://example.com/story.html?${query}`);
+    const { StorylinePanzoom } = window;
+
+    StorylinePanzoom.init('Engine', { analytics: { reporter: { type: 'xapi' } } });
+    StorylinePanzoom.report('Engine');
+    const request = await received(lrs.requests);
+
+    assert.strictEqual(request.headers.authorization, 'Basic bGF1bmNo');
+    assert.deepStrictEqual(JSON.parse(request.body).actor, actor);
+
+    StorylinePanzoom.destroy('Engine');
+    await received(lrs.requests, 2);
+});
+
+test('reports an LRS error without throwing', async (t) => {
+    const lrs = await startLrs(t, 403);
+    const window = createStory(t, shape('Engine'), { fetch });
+    const { StorylinePanzoom } = window;
+    const errors = [];
+    window.console.error = (...args) => errors.push(args);
+
+    StorylinePanzoom.init('Engine', { analytics: { reporter: { type: 'xapi', endpoint: lrs.endpoint } } });
+    assert.ok(StorylinePanzoom.report('Engine'));
+    await received(lrs.requests);
+    await wait(50);
+
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0][0], /Could not send the xAPI statement/);
+    assert.match(String(errors[0][1]), /LRS answered 403/);
+
+    StorylinePanzoom.destroy('Engine');
+    await received(lrs.requests, 2);
+});
+
+test('stops counting zoomed time when the lightbox closes', async (t) => {
+    const window = createStory(t, shape('Engine'));
+    const { StorylinePanzoom } = window;
+
+    StorylinePanzoom.init('Engine', { analytics: { grid: 2 }, duration: 0 });
+    await wait(0);
+    StorylinePanzoom.openLightbox('Engine');
+    await wait(0);
+    const stage = window.document.activeElement;
+    stage.dispatchEvent(new window.KeyboardEvent('keydown', { key: '+', bubbles: true }));
+    await wait(50);
+    assert.ok(StorylinePanzoom.getMetrics('Engine').maxScale > 1);
+
+    StorylinePanzoom.closeLightbox();
+    const { timeZoomed } = StorylinePanzoom.getMetrics('Engine');
+    assert.ok(timeZoomed > 0);
+    await wait(100);
+    assert.strictEqual(StorylinePanzoom.getMetrics('Engine').timeZoomed, timeZoomed);
+
+    StorylinePanzoom.destroy('Engine');
+});
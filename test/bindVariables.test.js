@@ -0,0 +1,76 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createStory, shape, wait } = require('./helpers');
+
+// Stand-in for Storyline's player: variables in a plain object, writes recorded
+function createPlayer(values = {}) {
+    const writes = [];
+    return {
+        values,
+        writes,
+        GetVar: name => values[name],
+        SetVar: (name, value) => {
+            values[name] = value;
+            writes.push([name, value]);
+        }
+    };
+}
+
+const bindings = { scale: 'MapZoom', x: 'MapPanX', y: 'MapPanY' };
+
+test('pushes the scale and focus point into the bound variables', async (t) => {
+    const player = createPlayer();
+    const window = createStory(t, shape('Map'), { GetPlayer: () => player });
+    const { StorylinePanzoom } = window;
+
+    StorylinePanzoom.init('Map', { bindVariables: bindings, variablePollInterval: 20 });
+    assert.deepStrictEqual(player.values, { MapZoom: 1, MapPanX: 50, MapPanY: 50 });
+    // Panzoom applies its start position on the next tick
+    await wait(0);
+
+    StorylinePanzoom.zoomTo('Map', { scale: 2, x: 25, y: 75, duration: 0 });
+    await wait(100);
+    assert.deepStrictEqual(player.values, { MapZoom: 2, MapPanX: 25, MapPanY: 75 });
+
+    StorylinePanzoom.destroy('Map');
+});
+
+test('zooms and pans when a trigger changes a bound variable', async (t) => {
+    const player = createPlayer();
+    const window = createStory(t, shape('Map'), { GetPlayer: () => player });
+    const { StorylinePanzoom } = window;
+
+    StorylinePanzoom.init('Map', { bindVariables: bindings, variablePollInterval: 20, duration: 0 });
+    const writes = player.writes.length;
+    const sources = [];
+    StorylinePanzoom.on('Map', 'zoomend', event => sources.push(event.source));
+
+    player.values.MapZoom = 3;
+    player.values.MapPanX = 40;
+    await wait(400);
+
+    const panzoom = StorylinePanzoom.getInstance('Map');
+    assert.strictEqual(panzoom.getScale(), 3);
+    // 40% of the 300px picture at the centre of the frame
+    assert.strictEqual(panzoom.getPan().x, 30);
+    assert.ok(sources.includes('variable'));
+    // Values read from the player are not written back
+    assert.deepStrictEqual(player.writes.slice(writes), []);
+
+    StorylinePanzoom.destroy('Map');
+});
+
+test('ignores variables that hold no number', async (t) => {
+    const player = createPlayer();
+    const window = createStory(t, shape('Map'), { GetPlayer: () => player });
+    const { StorylinePanzoom } = window;
+
+    StorylinePanzoom.init('Map', { bindVariables: { scale: 'MapZoom' }, variablePollInterval: 20 });
+    player.values.MapZoom = 'big';
+    await wait(100);
+    assert.strictEqual(StorylinePanzoom.getInstance('Map').getScale(), 1);
+
+    StorylinePanzoom.destroy('Map');
+});
@@ -0,0 +1,67 @@
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+const wait = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const bundle = fs.readFileSync(path.join(__dirname, '..', 'dist', 'storylinepanzoom.js'), 'utf8');
+
+// jsdom has no DOMMatrix; this covers the translate() rotate() scale() lists Storyline writes
+class DOMMatrix {
+    constructor(value = '') {
+        let [a, b, c, d, e, f] = [1, 0, 0, 1, 0, 0];
+        const multiply = ([a2, b2, c2, d2, e2, f2]) => {
+            [a, b, c, d, e, f] = [
+                a * a2 + c * b2, b * a2 + d * b2,
+                a * c2 + c * d2, b * c2 + d * d2,
+                a * e2 + c * f2 + e, b * e2 + d * f2 + f
+            ];
+        };
+
+        for (const [, name, args] of value.matchAll(/(\w+)\(([^)]*)\)/g)) {
+            const [x = 0, y] = args.split(/[\s,]+/).filter(Boolean).map(parseFloat);
+            if (name === 'translate') multiply([1, 0, 0, 1, x, y || 0]);
+            else if (name === 'scale') multiply([x, 0, 0, y === undefined ? x : y, 0, 0]);
+            else if (name === 'rotate') {
+                const angle = x * Math.PI / 180;
+                multiply([Math.cos(angle), Math.sin(angle), -Math.sin(angle), Math.cos(angle), 0, 0]);
+            } else throw new SyntaxError(`Unsupported transform ${name}()`);
+        }
+        Object.assign(this, { a, b, c, d, e, f, is2D: true });
+    }
+}
+
+// A 300x200 vector shape as the Storyline player renders it, with its accessibility image;
+// an entrance animation starts it at scale(0, 0)
+function shape(accText, id = 'shape-1', transform = 'translate(100px, 50px) rotate(0deg) scale(1, 1)') {
+    return `<div class="slide-object slide-object-vectorshape" data-model-id="${id}" data-acc-text="${accText}"
+        style="transform: ${transform}; transform-origin: 150px 100px; width: 300px; height: 200px">
+        <div class="slideobject-maskable"><svg><image href="picture.png"></image></svg></div>
+    </div>
+    <img class="acc-image" aria-label="${accText}">`;
+}
+
+// Published story page with the built bundle loaded; globals (e.g. a GetPlayer stand-in)
+// are installed before it runs. The page is closed when the test ends, once pending
+// animation frames have run.
+function createStory(t, html, globals = {}, url = 'https://example.com/story.html') {
+    const dom = new JSDOM(`<!DOCTYPE html><body><div class="slide" data-model-id="slide-1">${html}</div></body>`, {
+        url,
+        runScripts: 'outside-only',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+    Object.assign(window, { DOMMatrix }, globals);
+    window.eval(bundle);
+    t.after(async () => {
+        // Nothing new may be scheduled once the page is closing (jsdom would still run it)
+        window.requestAnimationFrame = () => 0;
+        await wait(50);
+        window.close();
+    });
+    return window;
+}
+
+module.exports = { createStory, shape, wait };
@@ -0,0 +1,122 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createStory, shape, wait } = require('./helpers');
+
+test('retries a tagged object that was mid entrance animation', async (t) => {
+    const window = createStory(t, shape('Lion [zoom max=4]', 'lion', 'translate(100px, 50px) rotate(0deg) scale(0, 0)'));
+    const { StorylinePanzoom, document } = window;
+    const errors = [];
+    window.console.error = (...args) => errors.push(args);
+
+    assert.deepStrictEqual([...StorylinePanzoom.initAll({ watch: true })], []);
+    assert.strictEqual(document.querySelector('[data-model-id="lion"]').getAttribute('data-acc-text'), 'Lion');
+
+    document.querySelector('[data-model-id="lion"]').style.transform = 'translate(100px, 50px) rotate(0deg) scale(1, 1)';
+    await wait(50);
+
+    const panzoom = StorylinePanzoom.getInstance('Lion');
+    assert.ok(panzoom);
+    assert.strictEqual(panzoom.getOptions().maxScale, 4);
+    assert.deepStrictEqual(errors, []);
+
+    StorylinePanzoom.destroy('Lion');
+});
+
+test('reports a watched object it can never zoom once, not on every retry', async (t) => {
+    const window = createStory(t, shape('Lion [zoom]', 'lion', 'translate(100px, 50px) rotateY(30deg)'));
+    const { StorylinePanzoom, document } = window;
+    const errors = [];
+    window.console.error = (...args) => errors.push(args.join(' '));
+
+    assert.deepStrictEqual([...StorylinePanzoom.initAll({ watch: true })], []);
+    const lion = document.querySelector('[data-model-id="lion"]');
+    for (const angle of [40, 50, 60]) {
+        lion.style.transform = `translate(100px, 50px) rotateY(${angle}deg)`;
+        await wait(50);
+    }
+    assert.strictEqual(StorylinePanzoom.getInstance('Lion'), undefined);
+    assert.deepStrictEqual(errors, ['StorylinePanzoom: Can\'t zoom "Lion": its transform "translate(100px, 50px) rotateY(30deg)" could not be read']);
+
+    lion.style.transform = 'translate(100px, 50px) rotate(0deg) scale(1, 1)';
+    await wait(50);
+    assert.ok(StorylinePanzoom.getInstance('Lion'));
+    assert.strictEqual(errors.length, 1);
+
+    StorylinePanzoom.destroy('Lion');
+});
+
+// Text box holding a [zoom-config] block, with the accessibility image the player adds
+function addConfigBox(document, text) {
+    const box = document.createElement('div');
+    box.className = 'slide-object';
+    box.setAttribute('data-acc-text', text);
+    const image = document.createElement('img');
+    image.className = 'acc-image';
+    image.setAttribute('aria-label', text);
+    document.querySelector('.slide').append(box, image);
+    return image;
+}
+
+test('reads options from a [zoom] tag and strips it from the alt text', (t) => {
+    const window = createStory(t, shape('Lion [zoom max=4 min=0.5 double-tap=3 long-press=zoom-in controls=top-right loupe-size=90 bogus]'));
+    const { StorylinePanzoom, document } = window;
+    const warnings = [];
+    window.console.warn = (...args) => warnings.push(args.join(' '));
+
+    assert.deepStrictEqual([...StorylinePanzoom.initAll()], ['Lion']);
+    assert.strictEqual(document.querySelector('.slide-object').getAttribute('data-acc-text'), 'Lion');
+    assert.strictEqual(document.querySelector('.acc-image').getAttribute('aria-label'), 'Lion');
+
+    const options = StorylinePanzoom.getInstance('Lion').getOptions();
+    assert.strictEqual(options.maxScale, 4);
+    assert.strictEqual(options.minScale, 0.5);
+    assert.deepStrictEqual({ ...options.gestures }, { doubleTap: 3, longPress: 'zoom-in' });
+    assert.deepStrictEqual({ ...options.controls }, { position: 'top-right' });
+    assert.deepStrictEqual({ ...options.loupe }, { size: 90 });
+    assert.deepStrictEqual(warnings, ['StorylinePanzoom: Unknown setting "bogus" in "Lion [zoom max=4 min=0.5 double-tap=3 long-press=zoom-in controls=top-right loupe-size=90 bogus]"']);
+
+    StorylinePanzoom.destroy('Lion');
+});
+
+test('reads a [zoom-config] box written with curly quotes', (t) => {
+    const window = createStory(t, shape('Engine') + shape('Plain', 'plain'));
+    const { StorylinePanzoom, document } = window;
+    const errors = [];
+    window.console.error = (...args) => errors.push(args);
+    const image = addConfigBox(document, '[zoom-config] { \u201cEngine\u201d: { \u201cmaxScale\u201d: 3 }, \u201cElsewhere\u201d: true }');
+
+    assert.deepStrictEqual([...StorylinePanzoom.initAll()], ['Engine']);
+    assert.strictEqual(StorylinePanzoom.getInstance('Engine').getOptions().maxScale, 3);
+    assert.strictEqual(StorylinePanzoom.getInstance('Plain'), undefined);
+    assert.strictEqual(image.getAttribute('aria-hidden'), 'true');
+    assert.deepStrictEqual(errors, []);
+
+    StorylinePanzoom.destroy('Engine');
+});
+
+test('reads each config box once and rescans only when slide content arrives', async (t) => {
+    const window = createStory(t, shape('Lion [zoom controls]'));
+    const { StorylinePanzoom, document } = window;
+    const errors = [];
+    window.console.error = (...args) => errors.push(args);
+    addConfigBox(document, '[zoom-config] { "Engine": ');
+
+    assert.deepStrictEqual([...StorylinePanzoom.initAll({ watch: true })], ['Lion']);
+    for (let step = 0; step < 5; step++) {
+        StorylinePanzoom.zoomIn('Lion');
+        await wait(30);
+    }
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0][0], /Could not read the \[zoom-config\] text box/);
+
+    // A new slide layer with a tagged object is picked up
+    document.querySelector('.slide').insertAdjacentHTML('beforeend', shape('Map [zoom max=2]', 'map'));
+    await wait(50);
+    assert.strictEqual(StorylinePanzoom.getInstance('Map').getOptions().maxScale, 2);
+    assert.strictEqual(errors.length, 1);
+
+    StorylinePanzoom.destroy('Lion');
+    StorylinePanzoom.destroy('Map');
+});
@@ -0,0 +1,28 @@
+'use strict';
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { createStory, shape, wait } = require('./helpers');
+
+function press(window, key) {
+    window.document.activeElement.dispatchEvent(new window.KeyboardEvent('keydown', { key, bubbles: true }));
+}
+
+test('ends a zoom in the larger view when it closes before the view settles', async (t) => {
+    const window = createStory(t, shape('Engine'));
+    const { StorylinePanzoom } = window;
+    const events = [];
+
+    StorylinePanzoom.init('Engine', { duration: 0 });
+    StorylinePanzoom.on('Engine', 'zoomstart', event => events.push(['zoomstart', event.source]));
+    StorylinePanzoom.on('Engine', 'zoomend', event => events.push(['zoomend', event.source]));
+    await wait(0);
+    StorylinePanzoom.openLightbox('Engine');
+    press(window, '+');
+    StorylinePanzoom.closeLightbox();
+    await wait(200);
+
+    assert.deepStrictEqual(JSON.parse(JSON.stringify(events)), [['zoomstart', 'keyboard'], ['zoomend', 'keyboard']]);
+
+    StorylinePanzoom.destroy('Engine');
+});